@@ -0,0 +1,40 @@
+// Load environment variables (before config/index.js reads process.env)
+import 'dotenv/config';
+import express from 'express';
+import requireCronSecret from '../../middleware/cronAuth.js';
+import requestId from '../../middleware/requestId.js';
+import reviewRefreshJob from '../../services/reviewRefreshJob.js';
+import { flushRefreshAlerts } from '../../services/reviewRefreshAlerts.js';
+import logger from '../../utils/logger.js';
+
+// Scheduled review refresh as its own Vercel function, so the longer maxDuration it needs for
+// Apify runs (vercel.json) doesn't apply to every API route; server.js serves the same route elsewhere
+logger.captureConsole();
+
+// Refreshes the most overdue places (REVIEWS_REFRESH_BATCH_SIZE per call, the others are reported
+// as deferred and come first on the next daily run), within the Apify quota; ?force=true ignores the cache age
+export const refreshReviews = async (req, res) => {
+  try {
+    const run = await reviewRefreshJob.run({ force: req.query.force === 'true' });
+    await flushRefreshAlerts();
+    const failed = run.results.filter((result) => result.outcome === 'failed');
+
+    res.status(failed.length === run.results.length && failed.length > 0 ? 502 : 200).json({
+      success: failed.length === 0,
+      data: run
+    });
+  } catch (error) {
+    console.error('Scheduled refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Scheduled refresh failed'
+    });
+  }
+};
+
+const app = express();
+app.set('trust proxy', 1);
+app.use(requestId);
+app.get('/api/cron/refresh-reviews', requireCronSecret, refreshReviews);
+
+export default app;
@@ -0,0 +1,343 @@
+import path from 'path';
+
+// Central configuration: every setting is read from the environment once, type-checked and
+// given its default here. Services import `config` instead of reading process.env.
+//
+// Profiles (APP_ENV, else NODE_ENV; default "development") change defaults only; an environment
+// variable always wins. Invalid values always stop startup. A feature whose settings are missing
+// is disabled with a warning, unless it is listed in REQUIRED_FEATURES, which stops startup too.
+
+export class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const DEFAULT_PLACE_URL = 'https://www.google.com/maps/place/مكتب+بصمة+الارض+للاستشارات+البيئية%E2%80%AD/@26.344222,43.973797,17z/data=!4m6!3m5!1s0x157f596476ef1083:0x1627f4ca3423d980!8m2!3d26.3442221!4d43.9737974!16s%2Fg%2F11x0qjbj_2?hl=ar&entry=ttu&g_ep=EgoyMDI1MTAyMC4wIKXMDSoASAFQAw%3D%3D';
+
+const DEFAULT_CORS_ORIGINS = [
+    'https://erthfc.com',
+    'https://www.erthfc.com',
+    'http://localhost:5173',  // Vite dev server
+    'http://localhost:3000',  // Alternative dev port
+    'http://127.0.0.1:5173', // Alternative localhost
+    'http://127.0.0.1:3000'   // Alternative localhost
+].join(',');
+
+// Per-environment defaults (environment variables override these)
+const PROFILES = {
+    development: {
+        LOG_FORMAT: 'pretty',
+        REQUIRED_FEATURES: ''
+    },
+    test: {
+        LOG_LEVEL: 'warn',
+        // Automated tests run offline: captured mail and fake Apify runs
+        SANDBOX: 'true',
+        REVIEWS_STORAGE: 'memory',
+        REQUIRED_FEATURES: ''
+    },
+    production: {
+        LOG_FORMAT: 'json',
+        // The contact form is the site's main purpose: don't start without a working mail setup
+        REQUIRED_FEATURES: 'email'
+    }
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const MB = 1024 * 1024;
+
+// Setting definitions: [config path, environment variable, type, default, options]
+// Types: string, int, number, boolean, list, enum, url, email, json
+// options.secret: value is never shown (only whether it is set)
+// options.pattern: every list item must match
+const SETTINGS = [
+    ['server.port', 'PORT', 'int', 5000, { min: 1, max: 65535 }],
+    ['server.corsOrigins', 'CORS_ORIGINS', 'list', DEFAULT_CORS_ORIGINS],
+    ['server.publicApiUrl', 'PUBLIC_API_URL', 'url', null],
+    ['server.siteUrl', 'SITE_URL', 'url', 'https://erthfc.com'],
+    ['server.requiredFeatures', 'REQUIRED_FEATURES', 'list', ''],
+
+    ['logging.level', 'LOG_LEVEL', 'enum', 'info', { values: ['debug', 'info', 'warn', 'error'] }],
+    ['logging.format', 'LOG_FORMAT', 'enum', 'json', { values: ['json', 'pretty'] }],
+
+    ['email.driver', 'EMAIL_DRIVER', 'enum', 'smtp', { values: ['smtp', 'http', 'outbox'] }],
+    ['email.host', 'EMAIL_HOST', 'string', null],
+    ['email.port', 'EMAIL_PORT', 'int', 465, { min: 1, max: 65535 }],
+    // Unset: implicit TLS on port 465, STARTTLS otherwise
+    ['email.secure', 'EMAIL_SECURE', 'boolean', null],
+    ['email.user', 'EMAIL_USER', 'string', null],
+    ['email.pass', 'EMAIL_PASS', 'string', null, { secret: true }],
+    ['email.apiUrl', 'EMAIL_API_URL', 'url', null],
+    ['email.apiKey', 'EMAIL_API_KEY', 'string', null, { secret: true }],
+    ['email.apiTimeout', 'EMAIL_API_TIMEOUT', 'int', 10000, { min: 1 }],
+    ['email.outboxDir', 'EMAIL_OUTBOX_DIR', 'string', path.join(process.cwd(), 'outbox')],
+    ['email.recipient', 'RECIPIENT_EMAIL', 'email', 'support@erathfc.com'],
+    ['email.reserve', 'RESERVE_EMAIL', 'email', null],
+    ['email.sender', 'SENDER_EMAIL', 'email', 'customer-service@erthfc.com'],
+
+    ['mailQueue.maxAttempts', 'MAIL_MAX_ATTEMPTS', 'int', 5, { min: 1 }],
+    ['mailQueue.retryDelay', 'MAIL_RETRY_DELAY', 'int', 30 * 1000, { min: 0 }],
+    ['mailQueue.workerInterval', 'MAIL_WORKER_INTERVAL', 'int', 15 * 1000, { min: 1000 }],
+    // How long a request waits for the first delivery attempt of the mail it queues (0 = don't wait)
+    ['mailQueue.firstAttemptWait', 'MAIL_FIRST_ATTEMPT_WAIT', 'int', 10 * 1000, { min: 0 }],
+
+    ['reviews.storage', 'REVIEWS_STORAGE', 'enum', 'file', { values: ['file', 'memory', 'redis'] }],
+    ['reviews.providers', 'REVIEW_PROVIDERS', 'list', 'apify'],
+    ['reviews.places', 'REVIEW_PLACES', 'json', null],
+    ['reviews.placesFile', 'REVIEW_PLACES_FILE', 'string', null],
+    ['reviews.placeUrl', 'REVIEW_PLACE_URL', 'url', DEFAULT_PLACE_URL],
+    ['reviews.placeName', 'REVIEW_PLACE_NAME', 'string', 'مكتب بصمة الارض للاستشارات البيئية'],
+    ['reviews.maxReviews', 'REVIEW_MAX_REVIEWS', 'int', 15, { min: 1, max: 500 }],
+    ['reviews.cacheDuration', 'REVIEWS_CACHE_DURATION', 'int', DAY, { min: MINUTE }],
+    ['reviews.refreshLockTtl', 'REVIEWS_REFRESH_LOCK_TTL', 'int', 5 * MINUTE, { min: 1000 }],
+    ['reviews.refreshWait', 'REVIEWS_REFRESH_WAIT', 'int', 20 * 1000, { min: 0 }],
+    ['reviews.revalidateCooldown', 'REVIEWS_REVALIDATE_COOLDOWN', 'int', 5 * MINUTE, { min: 0 }],
+    ['reviews.refreshInterval', 'REVIEWS_REFRESH_INTERVAL', 'int', 20 * HOUR, { min: 0 }],
+    ['reviews.refreshWorkerInterval', 'REVIEWS_REFRESH_WORKER_INTERVAL', 'int', 0, { min: 0 }],
+    // Places refreshed per scheduled run (each waits for a full Apify run, so keep a cron call within maxDuration)
+    ['reviews.refreshBatchSize', 'REVIEWS_REFRESH_BATCH_SIZE', 'int', 1, { min: 1 }],
+    ['reviews.alertThreshold', 'REVIEWS_REFRESH_ALERT_THRESHOLD', 'int', 3, { min: 1 }],
+    ['reviews.alertCooldown', 'REVIEWS_REFRESH_ALERT_COOLDOWN', 'int', DAY, { min: 0 }],
+    ['reviews.fixtureFile', 'REVIEWS_FIXTURE_FILE', 'string', null],
+    ['reviews.manualFile', 'MANUAL_REVIEWS_FILE', 'string', path.join(process.cwd(), 'manual-reviews.json')],
+
+    ['apify.token', 'APIFY', 'string', null, { secret: true }],
+    ['apify.actorId', 'APIFY_ACTOR_ID', 'string', 'Xb8osYTtOjlsgI6k9'],
+    ['apify.dailyLimit', 'APIFY_DAILY_LIMIT', 'int', 10, { min: 0 }],
+    ['apify.monthlyLimit', 'APIFY_MONTHLY_LIMIT', 'int', 300, { min: 0 }],
+    ['apify.warnThreshold', 'APIFY_WARN_THRESHOLD', 'number', 0.8, { min: 0, max: 1 }],
+
+    ['googlePlaces.apiKey', 'GOOGLE_PLACES_API_KEY', 'string', null, { secret: true }],
+    ['googlePlaces.timeout', 'GOOGLE_PLACES_TIMEOUT', 'int', 10000, { min: 1 }],
+
+    ['storage.dir', 'STORAGE_DIR', 'string', path.join(process.cwd(), 'data')],
+    ['storage.kvRestUrl', 'KV_REST_API_URL', 'url', null],
+    ['storage.kvRestToken', 'KV_REST_API_TOKEN', 'string', null, { secret: true }],
+
+    ['admin.apiKeys', 'ADMIN_API_KEYS', 'list', '', { secret: true }],
+    ['admin.apiKey', 'ADMIN_API_KEY', 'string', null, { secret: true }],
+    ['admin.tokenSecret', 'ADMIN_TOKEN_SECRET', 'string', null, { secret: true }],
+    // Revoked admin tokens (use redis on serverless hosts so every instance sees a revocation)
+    ['admin.tokenStore', 'ADMIN_TOKEN_STORE', 'enum', 'file', { values: ['file', 'memory', 'redis'] }],
+    ['cron.secret', 'CRON_SECRET', 'string', null, { secret: true }],
+    ['tokens.secret', 'TOKEN_SECRET', 'string', null, { secret: true }],
+
+    // Consultation booking; times are office (Saudi) local time
+    ['appointments.utcOffset', 'APPOINTMENTS_UTC_OFFSET', 'int', 180, { min: -720, max: 840 }], // minutes (Saudi Arabia: UTC+3, no DST)
+    ['appointments.officeHours', 'APPOINTMENTS_OFFICE_HOURS', 'list', '09:00-13:00,14:00-17:00', { pattern: /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-4]):[0-5]\d$/ }],
+    ['appointments.weekendDays', 'APPOINTMENTS_WEEKEND_DAYS', 'list', '5,6', { pattern: /^[0-6]$/ }], // 0 = Sunday (Friday and Saturday)
+    // "MM-DD" every year, "YYYY-MM-DD", or "YYYY-MM-DD..YYYY-MM-DD" (e.g. the Eid holidays)
+    ['appointments.holidays', 'APPOINTMENTS_HOLIDAYS', 'list', '02-22,09-23', { pattern: /^(\d{2}-\d{2}|\d{4}-\d{2}-\d{2}(\.\.\d{4}-\d{2}-\d{2})?)$/ }],
+    ['appointments.slotDuration', 'APPOINTMENTS_SLOT_DURATION', 'int', 60 * MINUTE, { min: 5 * MINUTE }],
+    ['appointments.capacity', 'APPOINTMENTS_CAPACITY', 'int', 1, { min: 1 }],
+    ['appointments.minNotice', 'APPOINTMENTS_MIN_NOTICE', 'int', 12 * HOUR, { min: 0 }],
+    ['appointments.bookingWindow', 'APPOINTMENTS_BOOKING_WINDOW', 'int', 30 * DAY, { min: DAY }],
+    ['appointments.location', 'APPOINTMENTS_LOCATION', 'string', 'مكتب بصمة الأرض للاستشارات البيئية'],
+
+    // Contact form attachments: files above the attach limit (or beyond the attached total) are
+    // stored in the reviews storage and sent as an expiring download link instead
+    // The size defaults keep the whole form under Vercel's 4.5 MB request body limit; raise them only on hosts without it
+    ['uploads.maxFiles', 'UPLOAD_MAX_FILES', 'int', 5, { min: 1, max: 20 }],
+    ['uploads.maxFileSize', 'UPLOAD_MAX_FILE_SIZE', 'int', 4 * MB, { min: 1024 }],
+    ['uploads.maxTotalSize', 'UPLOAD_MAX_TOTAL_SIZE', 'int', 4 * MB, { min: 1024 }],
+    ['uploads.attachLimit', 'UPLOAD_ATTACH_LIMIT', 'int', 2 * MB, { min: 0 }],
+    ['uploads.linkTtl', 'UPLOAD_LINK_TTL', 'int', 14 * DAY, { min: HOUR }],
+
+    ['spam.store', 'SPAM_STORE', 'enum', 'memory', { values: ['file', 'memory', 'redis'] }],
+    ['spam.ipLimit', 'SPAM_IP_LIMIT', 'int', 5, { min: 1 }],
+    ['spam.ipWindow', 'SPAM_IP_WINDOW', 'int', 10 * MINUTE, { min: 1000 }],
+    ['spam.emailLimit', 'SPAM_EMAIL_LIMIT', 'int', 3, { min: 1 }],
+    ['spam.emailWindow', 'SPAM_EMAIL_WINDOW', 'int', HOUR, { min: 1000 }],
+    ['spam.duplicateWindow', 'SPAM_DUPLICATE_WINDOW', 'int', 30 * MINUTE, { min: 0 }],
+    ['spam.minSubmitTime', 'SPAM_MIN_SUBMIT_TIME', 'int', 3 * 1000, { min: 0 }],
+    ['spam.formTokenTtl', 'SPAM_FORM_TOKEN_TTL', 'int', 2 * HOUR, { min: 1000 }],
+    // Off until the frontend sends formToken on every form; set to true once it does
+    ['spam.requireFormToken', 'SPAM_REQUIRE_FORM_TOKEN', 'boolean', false],
+    ['spam.honeypotField', 'SPAM_HONEYPOT_FIELD', 'string', 'website'],
+    ['spam.lookupLimit', 'SPAM_LOOKUP_LIMIT', 'int', 20, { min: 1 }],
+
+    // Sandbox mode: outgoing mail is captured (/api/dev/mailbox) and Apify runs use fixture datasets
+    ['sandbox.enabled', 'SANDBOX', 'boolean', false],
+    ['sandbox.mailbox', 'SANDBOX_MAILBOX', 'enum', 'memory', { values: ['memory', 'file'] }],
+    ['sandbox.mailboxFile', 'SANDBOX_MAILBOX_FILE', 'string', path.join(process.cwd(), 'sandbox-mailbox.json')],
+    ['sandbox.mailboxLimit', 'SANDBOX_MAILBOX_LIMIT', 'int', 200, { min: 1 }],
+    ['sandbox.apifyMode', 'SANDBOX_APIFY_MODE', 'enum', 'normal', { values: ['normal', 'slow', 'fail', 'empty'] }],
+    ['sandbox.apifyDelay', 'SANDBOX_APIFY_DELAY', 'int', 5000, { min: 0 }],
+    ['sandbox.apifyFixture', 'SANDBOX_APIFY_FIXTURE', 'string', null],
+
+    ['health.checkTimeout', 'READY_CHECK_TIMEOUT', 'int', 5000, { min: 100 }],
+    ['health.readyCacheTtl', 'READY_CACHE_TTL', 'int', 10 * 1000, { min: 0 }]
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Parse one raw value; returns { value } or { error }
+const parseValue = (raw, type, options = {}) => {
+    const text = String(raw).trim();
+
+    switch (type) {
+        case 'string':
+            return { value: text };
+        case 'int':
+        case 'number': {
+            const value = Number(text);
+            if (!Number.isFinite(value) || (type === 'int' && !Number.isInteger(value))) {
+                return { error: `must be ${type === 'int' ? 'an integer' : 'a number'}` };
+            }
+            if (options.min !== undefined && value < options.min) return { error: `must be at least ${options.min}` };
+            if (options.max !== undefined && value > options.max) return { error: `must be at most ${options.max}` };
+            return { value };
+        }
+        case 'boolean': {
+            const normalized = text.toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(normalized)) return { value: true };
+            if (['false', '0', 'no', 'off'].includes(normalized)) return { value: false };
+            return { error: 'must be true or false' };
+        }
+        case 'list': {
+            const value = text.split(',').map((item) => item.trim()).filter(Boolean);
+            const invalid = options.pattern ? value.find((item) => !options.pattern.test(item)) : undefined;
+            return invalid !== undefined ? { error: `has an invalid entry "${invalid}"` } : { value };
+        }
+        case 'enum': {
+            const value = text.toLowerCase();
+            return options.values.includes(value) ? { value } : { error: `must be one of: ${options.values.join(', ')}` };
+        }
+        case 'url':
+            try {
+                const url = new URL(text);
+                if (!['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+                return { value: text.replace(/\/+$/, '') };
+            } catch (error) {
+                return { error: 'must be a valid URL' };
+            }
+        case 'email':
+            return EMAIL_PATTERN.test(text) ? { value: text } : { error: 'must be an email address' };
+        case 'json':
+            try {
+                return { value: JSON.parse(text) };
+            } catch (error) {
+                return { error: `must be valid JSON (${error.message})` };
+            }
+        default:
+            return { error: `has unknown type "${type}"` };
+    }
+};
+
+const setPath = (target, keyPath, value) => {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+    parent[last] = value;
+};
+
+// Which features can run with the loaded settings: { [feature]: { enabled, missing } }
+const getFeatures = (config) => {
+    const need = (entries) => entries.filter(([, value]) => !value).map(([name]) => name);
+    const usesRedis = [config.reviews.storage, config.spam.store, config.admin.tokenStore].includes('redis');
+
+    const email = config.email.driver === 'smtp'
+        ? need([['EMAIL_HOST', config.email.host], ['EMAIL_USER', config.email.user], ['EMAIL_PASS', config.email.pass]])
+        : config.email.driver === 'http' ? need([['EMAIL_API_URL', config.email.apiUrl]]) : [];
+
+    const features = {
+        email,
+        apify: config.reviews.providers.includes('apify') && !config.sandbox.enabled ? need([['APIFY', config.apify.token]]) : [],
+        googlePlaces: config.reviews.providers.includes('google_places')
+            ? need([['GOOGLE_PLACES_API_KEY', config.googlePlaces.apiKey]])
+            : [],
+        redis: usesRedis ? need([['KV_REST_API_URL', config.storage.kvRestUrl], ['KV_REST_API_TOKEN', config.storage.kvRestToken]]) : [],
+        admin: config.admin.apiKeys.length > 0 || config.admin.apiKey || config.admin.tokenSecret
+            ? []
+            : ['ADMIN_API_KEYS, ADMIN_API_KEY or ADMIN_TOKEN_SECRET'],
+        cron: need([['CRON_SECRET', config.cron.secret]]),
+        // Without TOKEN_SECRET, signed links (newsletter confirm/unsubscribe, form tokens) use a per-process secret
+        signedLinks: need([['TOKEN_SECRET', config.tokens.secret]])
+    };
+
+    return Object.fromEntries(Object.entries(features).map(([name, missing]) => [name, { enabled: missing.length === 0, missing }]));
+};
+
+// Read and validate every setting; throws ConfigError listing all problems
+export const loadConfig = (env = process.env) => {
+    const profileName = String(env.APP_ENV || env.NODE_ENV || 'development').toLowerCase();
+    const profile = PROFILES[profileName] || {};
+    const errors = [];
+    const config = {
+        profile: profileName
+    };
+
+    if (!PROFILES[profileName]) {
+        errors.push(`APP_ENV/NODE_ENV "${profileName}" is not a known profile (${Object.keys(PROFILES).join(', ')})`);
+    }
+
+    for (const [keyPath, envName, type, defaultValue, options = {}] of SETTINGS) {
+        const raw = env[envName] !== undefined && env[envName] !== '' ? env[envName] : profile[envName];
+
+        if (raw === undefined || raw === null) {
+            setPath(config, keyPath, type === 'list' && typeof defaultValue === 'string'
+                ? parseValue(defaultValue, 'list').value
+                : defaultValue);
+            continue;
+        }
+
+        const { value, error } = parseValue(raw, type, options);
+        if (error) {
+            errors.push(`${envName} ${error}`);
+            continue;
+        }
+        setPath(config, keyPath, value);
+    }
+
+    if (errors.length === 0) {
+        config.email.secure = config.email.secure ?? config.email.port === 465;
+        config.reviews.providers = config.reviews.providers.map((name) => name.toLowerCase());
+        if (config.sandbox.enabled) {
+            if (profileName === 'production') {
+                errors.push('SANDBOX cannot be enabled in the production profile');
+            }
+            // Sandbox mail is always captured, whatever EMAIL_DRIVER says
+            config.email.driver = 'sandbox';
+        }
+        config.features = getFeatures(config);
+
+        for (const feature of config.server.requiredFeatures) {
+            if (!config.features[feature]) {
+                errors.push(`REQUIRED_FEATURES lists unknown feature "${feature}" (${Object.keys(config.features).join(', ')})`);
+            } else if (!config.features[feature].enabled) {
+                errors.push(`Required feature "${feature}" is missing: ${config.features[feature].missing.join(', ')}`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+
+    return config;
+};
+
+// Active configuration with secrets replaced by whether they are set
+export const getRedactedConfig = (source = config) => {
+    const redacted = JSON.parse(JSON.stringify(source));
+
+    for (const [keyPath, , , , options = {}] of SETTINGS) {
+        if (!options.secret) continue;
+        const keys = keyPath.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => node[key], redacted);
+        const value = parent[last];
+        parent[last] = (Array.isArray(value) ? value.length > 0 : !!value) ? '[SET]' : null;
+    }
+
+    return redacted;
+};
+
+const config = loadConfig();
+
+export default config;
@@ -0,0 +1,17 @@
+// Workflow stages of a contact-form request, in order, keyed by the stored `status` value
+export const leadStatuses = {
+    'received': { ar: 'تم الاستلام', en: 'Received' },
+    'in_review': { ar: 'قيد المراجعة', en: 'In review' },
+    'quoted': { ar: 'تم إرسال عرض السعر', en: 'Quoted' },
+    'in_progress': { ar: 'قيد التنفيذ', en: 'In progress' },
+    'closed': { ar: 'مغلق', en: 'Closed' }
+};
+
+export const LEAD_STATUSES = Object.keys(leadStatuses);
+
+// Display name of a status in the given language (falls back to the raw value)
+export const getLeadStatusName = (status, language = 'ar') => {
+    const names = leadStatuses[status];
+    if (!names) return status || null;
+    return names[language] || names.ar;
+};
@@ -0,0 +1,29 @@
+// Consultation services offered on the website, keyed by the form's `service` value
+export const serviceNames = {
+    'permits': { ar: 'التصاريح البيئية', en: 'Environmental Permits' },
+    'reports': { ar: 'التقارير البيئية الدورية', en: 'Periodic Environmental Reports' },
+    'assessment': { ar: 'تقييم الأثر البيئي', en: 'Environmental Impact Assessment' },
+    'audit': { ar: 'التدقيق البيئي', en: 'Environmental Audit' },
+    'management': { ar: 'خطط الإدارة البيئية', en: 'Environmental Management Plans' },
+    'rehabilitation': { ar: 'خطط إعادة التأهيل البيئي', en: 'Environmental Rehabilitation Plans' },
+    'consulting': { ar: 'الاستشارات الفنية المتخصصة', en: 'Specialised Technical Consulting' },
+    'mawan': { ar: 'إصدار تصريح موان', en: 'MWAN Permit Issuance' },
+    'other': { ar: 'خدمة أخرى', en: 'Other Service' }
+};
+
+// Display name of a service in the given language (falls back to the raw value)
+export const getServiceName = (service, language = 'ar') => {
+    const names = serviceNames[service];
+    if (!names) return service || null;
+    return names[language] || names.ar;
+};
+
+// Find a service key from its Arabic or English display name
+export const getServiceKey = (name) => {
+    const normalized = String(name || '').trim().toLowerCase();
+    return Object.keys(serviceNames).find((key) =>
+        key === normalized ||
+        serviceNames[key].ar === normalized ||
+        serviceNames[key].en.toLowerCase() === normalized
+    ) || null;
+};
@@ -0,0 +1,22 @@
+// Common words ignored when extracting review keywords
+
+export const arabicStopwords = new Set([
+    'في', 'من', 'على', 'الى', 'إلى', 'عن', 'مع', 'هذا', 'هذه', 'ذلك', 'تلك', 'هو', 'هي', 'هم', 'انا', 'أنا',
+    'نحن', 'انت', 'أنت', 'كان', 'كانت', 'يكون', 'تكون', 'كل', 'بعد', 'قبل', 'عند', 'او', 'أو', 'ثم', 'لقد',
+    'قد', 'لا', 'لم', 'لن', 'ما', 'ماذا', 'متى', 'اين', 'كيف', 'التي', 'الذي', 'الذين', 'اللي', 'الي', 'ان',
+    'أن', 'إن', 'انه', 'أنه', 'لكن', 'ولكن', 'حتى', 'اذا', 'إذا', 'كما', 'بين', 'حيث', 'غير', 'جدا', 'جداً',
+    'ايضا', 'أيضا', 'أيضاً', 'فقط', 'بس', 'عليه', 'عليها', 'عليهم', 'فيه', 'فيها', 'فيهم', 'منه', 'منها',
+    'لهم', 'له', 'لها', 'لي', 'لنا', 'معهم', 'معه', 'معها', 'والله', 'الله', 'شكرا', 'شكراً', 'يا', 'وما',
+    'وهو', 'وهي', 'وفي', 'ومن', 'وعلى', 'وكل', 'وان', 'وأن', 'وإن', 'هذي', 'هاذا', 'كذا', 'اي', 'أي', 'ايش',
+    'يعني', 'عشان', 'مره', 'مرة', 'اكثر', 'أكثر', 'شي', 'شيء', 'كانو', 'كانوا', 'اول', 'أول', 'وقت', 'اخر'
+]);
+
+export const englishStopwords = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our',
+    'out', 'has', 'have', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'way', 'who',
+    'did', 'get', 'got', 'let', 'say', 'she', 'too', 'use', 'very', 'with', 'this', 'that', 'they', 'them',
+    'their', 'there', 'then', 'than', 'from', 'were', 'been', 'what', 'when', 'will', 'would', 'could',
+    'should', 'about', 'which', 'your', 'into', 'just', 'also', 'more', 'some', 'such', 'only', 'over',
+    'after', 'before', 'because', 'really', 'much', 'many', 'most', 'other', 'here', 'where', 'while',
+    'being', 'does', 'done', 'doing', 'each', 'even', 'every', 'well', 'thank', 'thanks', 'highly'
+]);
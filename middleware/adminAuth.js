@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import { signToken, verifyToken } from '../utils/signedToken.js';
+import { createKvStore } from '../services/kvStores/index.js';
+import config from '../config/index.js';
+
+// Admin credentials come from configuration:
+//   ADMIN_API_KEYS      comma-separated "name:key" pairs, e.g. "ops:abc123,sales:def456"
+//   ADMIN_API_KEY       single key (identified as "admin")
+//   ADMIN_TOKEN_SECRET  secret for signed bearer tokens issued by POST /api/admin/tokens
+//                       (changing it revokes every issued token; DELETE /api/admin/tokens/:id revokes one)
+const ADMIN_TOKEN_TTL = 12 * 60 * 60 * 1000; // 12 hours
+const MAX_ADMIN_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Constant-time string comparison
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    if (bufferA.length !== bufferB.length) return false;
+    return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Configured API keys as [{ name, key }]
+const getApiKeys = () => {
+    const keys = config.admin.apiKeys
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            return separator > 0
+                ? { name: entry.substring(0, separator), key: entry.substring(separator + 1) }
+                : { name: 'admin', key: entry };
+        });
+
+    if (config.admin.apiKey) {
+        keys.push({ name: 'admin', key: config.admin.apiKey });
+    }
+
+    return keys;
+};
+
+const getTokenSecret = () => config.admin.tokenSecret;
+
+export const isAdminAuthConfigured = () => getApiKeys().length > 0 || !!getTokenSecret();
+
+let revocationStore = null;
+const getRevocationStore = () => {
+    if (!revocationStore) {
+        revocationStore = createKvStore(config.admin.tokenStore);
+    }
+    return revocationStore;
+};
+
+const getRevocationKey = (id) => `admin:token:revoked:${id}`;
+
+// Issue a signed bearer token for an admin identity: { id, token, expiresAt }
+export const createAdminToken = (name, ttlMs = ADMIN_TOKEN_TTL) => {
+    const secret = getTokenSecret();
+    if (!secret) {
+        throw new Error('ADMIN_TOKEN_SECRET is not set');
+    }
+    const id = crypto.randomUUID();
+    const lifetime = Math.min(ttlMs, MAX_ADMIN_TOKEN_TTL);
+    return {
+        id,
+        token: signToken({ type: 'admin', sub: name, jti: id }, lifetime, secret),
+        expiresAt: new Date(Date.now() + lifetime).toISOString()
+    };
+};
+
+// Revoke an issued token by its ID (kept for the longest token lifetime, so it outlives the token)
+export const revokeAdminToken = async (id) => {
+    await getRevocationStore().set(getRevocationKey(id), { revokedAt: new Date().toISOString() }, MAX_ADMIN_TOKEN_TTL);
+};
+
+// Read the credential from the X-API-Key header or an "Authorization: Bearer" header
+const extractCredential = (req) => {
+    const headerKey = req.get('x-api-key');
+    if (headerKey) return headerKey.trim();
+
+    const authorization = req.get('authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+};
+
+// Resolve a credential to an admin identity ({ name, method, tokenId? }) or null
+// Tokens without an ID predate revocation support and are no longer accepted
+const authenticate = async (credential) => {
+    const apiKey = getApiKeys().find((item) => safeEqual(credential, item.key));
+    if (apiKey) {
+        return { name: apiKey.name, method: 'api_key' };
+    }
+
+    const secret = getTokenSecret();
+    if (secret) {
+        const payload = verifyToken(credential, secret);
+        if (payload && payload.type === 'admin' && payload.sub && payload.jti) {
+            if (await getRevocationStore().get(getRevocationKey(payload.jti))) return null;
+            return { name: payload.sub, method: 'token', tokenId: payload.jti };
+        }
+    }
+
+    return null;
+};
+
+// Protect admin and operational routes; sets req.admin to the authenticated identity
+const requireAdmin = async (req, res, next) => {
+    // Admin responses must never be cached by browsers or proxies
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (!isAdminAuthConfigured()) {
+        console.error('❌ No admin credentials configured (ADMIN_API_KEYS, ADMIN_API_KEY or ADMIN_TOKEN_SECRET), admin routes are disabled');
+        return res.status(503).json({
+            success: false,
+            error: 'Admin access not configured'
+        });
+    }
+
+    const credential = extractCredential(req);
+    let admin = null;
+    try {
+        admin = credential ? await authenticate(credential) : null;
+    } catch (error) {
+        // Fail closed: a token can't be accepted without checking the revocation list
+        console.error('❌ Admin token revocation check failed:', error.message);
+        return res.status(503).json({
+            success: false,
+            error: 'Admin authentication unavailable'
+        });
+    }
+
+    if (!admin) {
+        console.warn('🔒 Unauthorized admin request:', { method: req.method, path: req.path, ip: req.ip });
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized'
+        });
+    }
+
+    req.admin = admin;
+    next();
+};
+
+export default requireAdmin;
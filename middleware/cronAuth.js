@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+// Shared secret for cron-invoked routes (CRON_SECRET)
+// Vercel Cron sends it as "Authorization: Bearer <CRON_SECRET>"; other schedulers may use X-Cron-Secret
+const getCronSecret = () => config.cron.secret;
+
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    if (bufferA.length !== bufferB.length) return false;
+    return crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const extractSecret = (req) => {
+    const headerSecret = req.get('x-cron-secret');
+    if (headerSecret) return headerSecret.trim();
+
+    const authorization = req.get('authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+};
+
+// Protect cron routes with the shared secret
+const requireCronSecret = (req, res, next) => {
+    res.setHeader('Cache-Control', 'no-store');
+
+    const secret = getCronSecret();
+    if (!secret) {
+        console.error('❌ CRON_SECRET is not set, cron routes are disabled');
+        return res.status(503).json({
+            success: false,
+            error: 'Cron access not configured'
+        });
+    }
+
+    const provided = extractSecret(req);
+    if (!provided || !safeEqual(provided, secret)) {
+        console.warn('🔒 Unauthorized cron request:', { method: req.method, path: req.path, ip: req.ip });
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized'
+        });
+    }
+
+    next();
+};
+
+export default requireCronSecret;
@@ -0,0 +1,91 @@
+import express from 'express';
+import attachmentService from '../services/attachmentService.js';
+import { getValidationMessages } from '../utils/validation.js';
+
+// Room for multipart boundaries and the text fields on top of the files themselves
+// (small enough that the default limits stay under Vercel's 4.5 MB request body cap)
+const FORM_OVERHEAD = 256 * 1024;
+
+const UPLOAD_MESSAGES = {
+    ar: {
+        too_many_files: (limits) => `يمكن إرفاق ${limits.maxFiles} ملفات كحد أقصى`,
+        empty_file: () => 'الملف المرفق فارغ',
+        file_too_large: (limits) => `يجب ألا يزيد حجم الملف عن ${Math.floor(limits.maxFileSize / 1024 / 1024)} ميجابايت`,
+        total_too_large: (limits) => `يجب ألا يزيد حجم المرفقات عن ${Math.floor(limits.maxTotalSize / 1024 / 1024)} ميجابايت`,
+        type_not_allowed: () => 'نوع الملف غير مدعوم (المسموح: PDF، الصور، ملفات Word وExcel وPowerPoint)',
+        invalid_form: () => 'تعذر قراءة النموذج المرسل'
+    },
+    en: {
+        too_many_files: (limits) => `You can attach at most ${limits.maxFiles} files`,
+        empty_file: () => 'The attached file is empty',
+        file_too_large: (limits) => `Each file must be at most ${Math.floor(limits.maxFileSize / 1024 / 1024)} MB`,
+        total_too_large: (limits) => `Attachments must be at most ${Math.floor(limits.maxTotalSize / 1024 / 1024)} MB in total`,
+        type_not_allowed: () => 'Unsupported file type (allowed: PDF, images, Word, Excel and PowerPoint files)',
+        invalid_form: () => 'The submitted form could not be read'
+    }
+};
+
+const rawBody = express.raw({
+    type: 'multipart/form-data',
+    limit: attachmentService.getLimits().maxTotalSize + FORM_OVERHEAD
+});
+
+const reject = (res, language, status, error, filename = null) => {
+    const lang = language === 'en' ? 'en' : 'ar';
+    res.status(status).json({
+        error: getValidationMessages(lang).failed,
+        errors: {
+            attachments: `${UPLOAD_MESSAGES[lang][error](attachmentService.getLimits())}${filename ? ` (${filename})` : ''}`
+        }
+    });
+};
+
+// Accept multipart/form-data (text fields plus files) as well as JSON on a form route
+// Text fields become req.body as usual; files are checked (count, size, content type) and
+// put on req.files as [{ filename, mime, size, content }]. Goes after rateLimit and before spamProtection and validateBody.
+const multipartForm = (req, res, next) => {
+    req.files = [];
+    if (!req.is('multipart/form-data')) return next();
+
+    rawBody(req, res, async (error) => {
+        if (error) {
+            return reject(res, req.query.language, error.type === 'entity.too.large' ? 413 : 400,
+                error.type === 'entity.too.large' ? 'total_too_large' : 'invalid_form');
+        }
+
+        let form;
+        try {
+            // Parse with the built-in Fetch API multipart parser
+            form = await new Request('http://localhost/', {
+                method: 'POST',
+                headers: { 'content-type': req.get('content-type') },
+                body: req.body
+            }).formData();
+        } catch (parseError) {
+            console.warn('⚠️ Invalid multipart form:', parseError.message);
+            return reject(res, req.query.language, 400, 'invalid_form');
+        }
+
+        const fields = {};
+        const uploads = [];
+        for (const [name, value] of form.entries()) {
+            if (typeof value === 'string') {
+                if (!(name in fields)) fields[name] = value;
+            } else if (value.size > 0 || value.name) {
+                uploads.push({ filename: value.name, content: Buffer.from(await value.arrayBuffer()) });
+            }
+        }
+        req.body = fields;
+
+        const { files, error: uploadError, filename } = attachmentService.validate(uploads);
+        if (uploadError) {
+            const status = ['file_too_large', 'total_too_large'].includes(uploadError) ? 413 : 400;
+            return reject(res, fields.language, status, uploadError, filename);
+        }
+
+        req.files = files;
+        next();
+    });
+};
+
+export default multipartForm;
@@ -0,0 +1,17 @@
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+// Accept a caller's request ID (e.g. from a proxy) only if it looks like one
+const VALID_REQUEST_ID = /^[\w.-]{1,100}$/;
+
+// Give every request an ID: reused from X-Request-Id or generated, returned in the
+// X-Request-Id response header, and attached to every log line written while handling it
+const requestId = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+
+    logger.runWithContext({ requestId: req.id }, next);
+};
+
+export default requestId;
@@ -0,0 +1,31 @@
+import metrics from '../services/metrics.js';
+import logger from '../utils/logger.js';
+
+// Route label for metrics: the matched route pattern (not the raw URL, to keep label values bounded)
+const getRouteLabel = (req) => {
+    if (req.route && req.route.path) return `${req.baseUrl || ''}${req.route.path}`;
+    return 'unmatched';
+};
+
+// Record request count and latency, and write one access log line per request
+const requestMetrics = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const route = getRouteLabel(req);
+
+        metrics.recordRequest({ method: req.method, route, status: res.statusCode, durationMs });
+        logger.info('HTTP request', {
+            method: req.method,
+            route,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10
+        });
+    });
+
+    next();
+};
+
+export default requestMetrics;
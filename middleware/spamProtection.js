@@ -0,0 +1,92 @@
+import spamGuard from '../services/spamGuard.js';
+
+const REJECTION_MESSAGES = {
+    ar: {
+        ip_rate_limit: 'عدد كبير من الطلبات، يرجى المحاولة لاحقاً',
+        email_rate_limit: 'عدد كبير من الطلبات، يرجى المحاولة لاحقاً',
+        duplicate: 'تم استلام هذا الطلب مسبقاً',
+        invalid_form_token: 'انتهت صلاحية النموذج، يرجى تحديث الصفحة والمحاولة مرة أخرى',
+        reused_form_token: 'تم إرسال هذا النموذج مسبقاً، يرجى تحديث الصفحة للإرسال مرة أخرى',
+        submitted_too_fast: 'تم إرسال النموذج بسرعة كبيرة، يرجى المحاولة مرة أخرى'
+    },
+    en: {
+        ip_rate_limit: 'Too many requests, please try again later',
+        email_rate_limit: 'Too many requests, please try again later',
+        duplicate: 'This request has already been received',
+        invalid_form_token: 'The form has expired, please refresh the page and try again',
+        reused_form_token: 'This form was already submitted, please refresh the page to send it again',
+        submitted_too_fast: 'The form was submitted too quickly, please try again'
+    }
+};
+
+const sendRejection = (res, form, rejection, context, language) => {
+    spamGuard.logRejection(form, rejection, context);
+
+    // Bots that fill the honeypot get a normal-looking response
+    if (rejection.reason === 'honeypot') {
+        return res.status(200).json({ success: true });
+    }
+
+    if (rejection.retryAfter) {
+        res.setHeader('Retry-After', String(rejection.retryAfter));
+    }
+
+    const messages = REJECTION_MESSAGES[language === 'en' ? 'en' : 'ar'];
+    return res.status(rejection.status).json({
+        error: messages[rejection.reason],
+        reason: rejection.reason
+    });
+};
+
+// Per-IP rate limit that runs before the body is read, for routes with large bodies (uploads)
+// spamProtection(form) later in the chain skips its own IP check
+export const rateLimit = (form) => async (req, res, next) => {
+    const context = { ip: req.ip, userAgent: req.get('user-agent'), body: {} };
+
+    try {
+        const rejection = await spamGuard.checkIpLimit(form, req.ip);
+        if (rejection) {
+            return sendRejection(res, form, rejection, context, req.query.language);
+        }
+        req.spamIpChecked = true;
+    } catch (error) {
+        console.error('❌ Spam protection error:', error.message);
+    }
+
+    next();
+};
+
+// Reject spam before the form handler runs (must come before validateBody, which strips extra fields)
+const spamProtection = (form) => async (req, res, next) => {
+    const body = req.body || {};
+    const context = { ip: req.ip, userAgent: req.get('user-agent'), body, ipChecked: !!req.spamIpChecked };
+
+    try {
+        const rejection = await spamGuard.check(form, context);
+
+        if (rejection) {
+            return sendRejection(res, form, rejection, context, body.language);
+        }
+    } catch (error) {
+        // A store outage shouldn't block real customers
+        console.error('❌ Spam protection error:', error.message);
+        return next();
+    }
+
+    // Remember accepted submissions for duplicate detection; a rejected one gives its form token back
+    res.on('finish', () => {
+        if (res.statusCode < 300) {
+            spamGuard.recordSubmission(form, body).catch((error) => {
+                console.error('❌ Error recording submission:', error.message);
+            });
+        } else if (res.statusCode >= 400) {
+            spamGuard.releaseFormToken(body).catch((error) => {
+                console.error('❌ Error releasing form token:', error.message);
+            });
+        }
+    });
+
+    next();
+};
+
+export default spamProtection;
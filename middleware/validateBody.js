@@ -0,0 +1,20 @@
+import { validate, getValidationMessages } from '../utils/validation.js';
+
+// Validate req.body against a schema; on success req.body holds only the trimmed schema fields
+const validateBody = (schema) => (req, res, next) => {
+    const body = req.body || {};
+    const language = body.language === 'en' ? 'en' : 'ar';
+    const { values, errors } = validate(schema, body, language);
+
+    if (errors) {
+        return res.status(400).json({
+            error: getValidationMessages(language).failed,
+            errors
+        });
+    }
+
+    req.body = values;
+    next();
+};
+
+export default validateBody;
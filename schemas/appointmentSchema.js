@@ -0,0 +1,14 @@
+import { serviceNames } from '../constants/serviceNames.js';
+
+// POST /api/appointments (start: ISO 8601 time of one of the slots from /api/appointments/slots)
+const appointmentSchema = {
+    name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+    email: { type: 'string', required: true, maxLength: 254, format: 'email' },
+    phone: { type: 'string', maxLength: 25, format: 'phone' },
+    service: { type: 'string', required: true, enum: Object.keys(serviceNames) },
+    start: { type: 'string', required: true, maxLength: 40 },
+    notes: { type: 'string', maxLength: 2000 },
+    language: { type: 'string', enum: ['ar', 'en'], default: 'ar' }
+};
+
+export default appointmentSchema;
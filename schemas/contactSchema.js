@@ -0,0 +1,15 @@
+import { serviceNames } from '../constants/serviceNames.js';
+
+// POST /api/contact
+const contactSchema = {
+    name: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+    email: { type: 'string', required: true, maxLength: 254, format: 'email' },
+    phone: { type: 'string', maxLength: 25, format: 'phone' },
+    service: { type: 'string', enum: Object.keys(serviceNames) },
+    jobTitle: { type: 'string', maxLength: 100 },
+    officeName: { type: 'string', maxLength: 150 },
+    message: { type: 'string', required: true, minLength: 5, maxLength: 5000 },
+    language: { type: 'string', enum: ['ar', 'en'], default: 'ar' }
+};
+
+export default contactSchema;
@@ -0,0 +1,7 @@
+// POST /api/newsletter
+const newsletterSchema = {
+    email: { type: 'string', required: true, maxLength: 254, format: 'email' },
+    language: { type: 'string', enum: ['ar', 'en'], default: 'ar' }
+};
+
+export default newsletterSchema;
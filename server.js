@@ -1,53 +1,85 @@
+// Load environment variables (before config/index.js reads process.env)
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import nodemailer from 'nodemailer';
-import axios from 'axios';
-import dotenv from 'dotenv';
+import config, { getRedactedConfig } from './config/index.js';
 import apifyService from './services/apifyService.js';
+import leadService from './services/leadService.js';
+import newsletterService from './services/newsletterService.js';
+import appointmentService from './services/appointmentService.js';
+import attachmentService from './services/attachmentService.js';
+import emailService from './services/emailService.js';
+import mailQueue from './services/mailQueue.js';
+import templateService from './services/templateService.js';
+import requireAdmin, { createAdminToken, revokeAdminToken } from './middleware/adminAuth.js';
+import requireCronSecret from './middleware/cronAuth.js';
+import reviewRefreshJob from './services/reviewRefreshJob.js';
+// Emails the office when the scheduled refresh keeps failing
+import './services/reviewRefreshAlerts.js';
+import { refreshReviews } from './api/cron/refresh-reviews.js';
+import auditLog from './services/auditLog.js';
+import { computeReviewStats } from './services/reviewStats.js';
+import { toJsonLd, stringifyJsonLd, toRss, toAtom, toWidgetHtml, toWidgetPage } from './services/reviewFormats.js';
+import reviewModeration from './services/reviewModeration.js';
+import manualReviews from './services/manualReviews.js';
+import validateBody from './middleware/validateBody.js';
+import spamProtection, { rateLimit } from './middleware/spamProtection.js';
+import multipartForm from './middleware/multipartForm.js';
+import spamGuard from './services/spamGuard.js';
+import contactSchema from './schemas/contactSchema.js';
+import newsletterSchema from './schemas/newsletterSchema.js';
+import appointmentSchema from './schemas/appointmentSchema.js';
+import { getServiceName } from './constants/serviceNames.js';
+import { LEAD_STATUSES, getLeadStatusName } from './constants/leadStatuses.js';
+import { createIcsEvent } from './utils/ics.js';
+import { renderCancelPage, renderReschedulePage } from './templates/appointmentPages.js';
+import logger from './utils/logger.js';
+import { escapeHtml } from './utils/escapeHtml.js';
+import metrics from './services/metrics.js';
+import healthService from './services/healthService.js';
+import requestId from './middleware/requestId.js';
+import requestMetrics from './middleware/requestMetrics.js';
+import sandboxMailbox from './services/sandboxMailbox.js';
+import { getSimulation, setSimulation } from './services/reviewProviders/sandboxApifyClient.js';
 
-// Load environment variables
-dotenv.config();
+// Existing console.* calls go through the structured logger (JSON lines, personal data redacted)
+logger.captureConsole();
 
 const app = express();
-const PORT = process.env.PORT || 5000;
-
-// Email configuration - all values must be provided via environment variables
-const EMAIL_USER = process.env.EMAIL_USER;
-const EMAIL_PASS = process.env.EMAIL_PASS;
-const EMAIL_HOST = process.env.EMAIL_HOST;
-const EMAIL_PORT = process.env.EMAIL_PORT || 465;
-const EMAIL_SECURE = process.env.EMAIL_SECURE === 'true' || true;
-const RECIPIENT_EMAIL = process.env.RECIPIENT_EMAIL || 'support@erathfc.com';
-const RESERVE_EMAIL = process.env.RESERVE_EMAIL;
-const SENDER_EMAIL = process.env.SENDER_EMAIL || 'customer-service@erthfc.com';
-
-// Debug environment variables
-console.log('Environment variables check:', {
-  EMAIL_USER: EMAIL_USER ? 'SET' : 'MISSING',
-  EMAIL_PASS: EMAIL_PASS ? 'SET' : 'MISSING', 
-  EMAIL_HOST: EMAIL_HOST ? 'SET' : 'MISSING',
-  RECIPIENT_EMAIL: RECIPIENT_EMAIL ? 'SET' : 'MISSING',
-  RESERVE_EMAIL: RESERVE_EMAIL ? 'SET' : 'MISSING'
-});
-
-// Validate required environment variables
-if (!EMAIL_USER || !EMAIL_PASS || !EMAIL_HOST || !RECIPIENT_EMAIL) {
-  console.error('❌ Missing required environment variables for email configuration');
-  console.error('Required: EMAIL_USER, EMAIL_PASS, EMAIL_HOST, RECIPIENT_EMAIL');
-  console.error('⚠️  Server will start but email functionality will be disabled');
+const PORT = config.server.port;
+
+// Behind Vercel's proxy: use the client IP from X-Forwarded-For (needed for per-IP rate limits)
+app.set('trust proxy', 1);
+
+// Email configuration - transport settings are read by the selected driver (EMAIL_DRIVER)
+const EMAIL_DRIVER = config.email.driver;
+const EMAIL_HOST = config.email.host;
+const RECIPIENT_EMAIL = config.email.recipient;
+const RESERVE_EMAIL = config.email.reserve;
+const SENDER_EMAIL = config.email.sender;
+
+// Startup configuration report: invalid settings and missing required features already stopped
+// startup in config/index.js; any other feature without its settings is disabled, and said so here
+logger.info('Configuration loaded', {
+  profile: config.profile,
+  emailDriver: EMAIL_DRIVER,
+  features: Object.fromEntries(Object.entries(config.features).map(([name, feature]) => [name, feature.enabled]))
+});
+for (const [name, feature] of Object.entries(config.features)) {
+  if (!feature.enabled) {
+    logger.warn(`Feature "${name}" is disabled: missing ${feature.missing.join(', ')}`, {
+      feature: name,
+      missing: feature.missing
+    });
+  }
 }
 
 
 // Middleware
+app.use(requestId);
+app.use(requestMetrics);
 app.use(cors({
-  origin: [
-    'https://erthfc.com',
-    'https://www.erthfc.com',
-    'http://localhost:5173',  // Vite dev server
-    'http://localhost:3000',  // Alternative dev port
-    'http://127.0.0.1:5173', // Alternative localhost
-    'http://127.0.0.1:3000'   // Alternative localhost
-  ],
+  origin: config.server.corsOrigins,
   credentials: true
 }));
 app.use(express.json());
@@ -59,57 +91,16 @@ app.use((req, res, next) => {
   next();
 });
 
-// Create transporter for nodemailer
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    host: EMAIL_HOST,
-    port: parseInt(EMAIL_PORT),
-    secure: EMAIL_SECURE,
-    auth: {
-      user: EMAIL_USER,
-      pass: EMAIL_PASS
-    },
-    tls: {
-      rejectUnauthorized: false
-    }
+// Keep lead delivery status in sync with the mail queue
+const updateLeadFromJob = (status) => (job, error) => {
+  if (job.meta?.type !== 'lead') return;
+  leadService.updateDeliveryStatus(job.meta.leadId, status, error?.message).catch((storeError) => {
+    console.error('❌ Error updating lead delivery status:', storeError);
   });
 };
-
-// Axios-based email service for external API integrations
-const emailService = {
-  // Send email via external API (for future integrations)
-  sendEmailViaAPI: async (emailData) => {
-    try {
-      // This is a placeholder for future external email API integrations
-      // You can integrate with services like SendGrid, Mailgun, etc.
-      const response = await axios.post('https://api.example.com/send-email', emailData, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.EMAIL_API_KEY || ''}`
-        },
-        timeout: 10000
-      });
-      return response.data;
-    } catch (error) {
-      console.error('External email API error:', error.message);
-      throw error;
-    }
-  },
-
-  // Validate email using external service
-  validateEmail: async (email) => {
-    try {
-      // This is a placeholder for email validation services
-      const response = await axios.get(`https://api.example.com/validate-email/${email}`, {
-        timeout: 5000
-      });
-      return response.data;
-    } catch (error) {
-      console.error('Email validation error:', error.message);
-      return { valid: true }; // Fallback to valid if service is down
-    }
-  }
-};
+mailQueue.on('sent', updateLeadFromJob('sent'));
+mailQueue.on('retry', updateLeadFromJob('retrying'));
+mailQueue.on('dead', updateLeadFromJob('failed'));
 
 // Routes
 app.get('/', (req, res) => {
@@ -118,7 +109,10 @@ app.get('/', (req, res) => {
     endpoints: {
       contact: '/api/contact',
       newsletter: '/api/newsletter',
-      reviews: '/api/reviews'
+      appointments: '/api/appointments',
+      reviews: '/api/reviews',
+      health: '/api/health',
+      ready: '/api/ready'
     },
     status: 'active',
     liveScraping: true
@@ -126,29 +120,140 @@ app.get('/', (req, res) => {
 });
 
 
-// Google Maps Reviews endpoint (with Apify caching)
-app.get('/api/reviews', async (req, res) => {
+// Liveness: the process is up (no dependency checks)
+app.get('/api/health', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(healthService.getLiveness());
+});
+
+// Readiness: email transport, Apify token, reviews store, cache age and quota
+// 200 when ready (status "ok" or "degraded"), 503 when any check fails
+app.get('/api/ready', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
   try {
-    const forceRefresh = req.query.refresh === 'true';
-    console.log('🔄 Fetching Google Maps reviews...', forceRefresh ? '(force refresh)' : '(cached)');
-    
-    const reviews = await apifyService.getReviews(forceRefresh);
-    const cacheStatus = apifyService.getCacheStatus();
-    
-    res.json({
-      success: true,
-      data: reviews,
-      count: reviews.length,
-      timestamp: new Date().toISOString(),
-      source: 'apify_google_maps',
-      cache: cacheStatus,
-      refreshed: forceRefresh,
-      limits: {
-        daily: cacheStatus.counters.daily,
-        monthly: cacheStatus.counters.monthly,
-        limits: cacheStatus.limits
-      }
+    const readiness = await healthService.getReadiness();
+    res.status(readiness.status === 'fail' ? 503 : 200).json(readiness);
+  } catch (error) {
+    console.error('Readiness check error:', error);
+    res.status(503).json({
+      status: 'fail',
+      error: 'Readiness check failed',
+      details: error.message
     });
+  }
+});
+
+// Build the reviews response for one place or for all places
+// stale: cached reviews are older than the cache duration; revalidating: a background refresh is running
+const buildReviewsResponse = async (reviews, placeId, refreshed) => {
+  const response = {
+    success: true,
+    data: reviews,
+    count: reviews.length,
+    timestamp: new Date().toISOString(),
+    source: 'apify_google_maps',
+    place: placeId || 'all',
+    refreshed
+  };
+
+  if (placeId) {
+    const cacheStatus = await apifyService.getCacheStatus(placeId);
+    response.cache = cacheStatus;
+    response.stale = cacheStatus.stale;
+    response.revalidating = cacheStatus.revalidating;
+    response.limits = {
+      daily: cacheStatus.counters.daily,
+      monthly: cacheStatus.counters.monthly,
+      limits: cacheStatus.limits
+    };
+  } else {
+    response.places = apifyService.getPlaces();
+    response.cache = await apifyService.getAllCacheStatus();
+    response.stale = Object.values(response.cache).some((status) => status.stale);
+    response.revalidating = Object.values(response.cache).some((status) => status.revalidating);
+  }
+
+  return response;
+};
+
+// Reject unknown place IDs before touching the cache or Apify
+const findPlaceOr404 = (placeId, res) => {
+  if (!placeId || apifyService.getPlace(placeId)) return true;
+  res.status(404).json({
+    success: false,
+    error: 'Unknown place',
+    places: apifyService.getPlaces().map((place) => place.id)
+  });
+  return false;
+};
+
+// Public base URL used in links sent by email and in feed links
+const getBaseUrl = (req) => {
+  return config.server.publicApiUrl || `${req.protocol}://${req.get('host')}`;
+};
+
+// Public (moderated) reviews for one place or all places
+const getPublicReviews = async (placeId, history = false) => {
+  console.log('🔄 Fetching Google Maps reviews... (cached)', placeId || 'all places', history ? '(history)' : '');
+  const reviews = await apifyService.getReviews(false, placeId, { history });
+  return reviewModeration.apply(reviews);
+};
+
+// Review output formats, by route or by Accept header on /api/reviews
+const REVIEW_FORMATS = {
+  jsonld: 'application/ld+json',
+  rss: 'application/rss+xml',
+  atom: 'application/atom+xml',
+  widget: 'text/html'
+};
+
+// Send reviews in one of the alternative formats (same data as the JSON response)
+const sendReviewsFormat = (req, res, format, reviews, placeId) => {
+  const language = req.query.lang === 'en' ? 'en' : 'ar';
+  const selfUrl = `${getBaseUrl(req)}${req.originalUrl}`;
+  res.type(`${REVIEW_FORMATS[format]}; charset=utf-8`);
+
+  if (format === 'jsonld') {
+    const places = placeId ? [apifyService.getPlace(placeId)] : apifyService.places;
+    return res.send(stringifyJsonLd(toJsonLd(reviews, places)));
+  }
+  if (format === 'rss') {
+    return res.send(toRss(reviews, { language, selfUrl }));
+  }
+  if (format === 'atom') {
+    return res.send(toAtom(reviews, { language, selfUrl, placeId }));
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 6, 50);
+  const fragment = toWidgetHtml(reviews, { language, limit });
+  res.send(req.query.embed === 'page' ? toWidgetPage(fragment, { language }) : fragment);
+};
+
+// Embeddable outputs may be fetched from partner sites, so any origin can read them
+const publicCors = cors({ origin: true });
+
+// Google Maps Reviews endpoint (with Apify caching; refreshing is admin-only)
+// ?place=<id> returns one branch; without it, a merged list tagged by branch
+// ?history=true returns every archived review, not just the latest fetch
+// Accept: application/ld+json, application/rss+xml or application/atom+xml returns that format instead
+app.get('/api/reviews', async (req, res) => {
+  try {
+    const placeId = req.query.place || null;
+    if (!findPlaceOr404(placeId, res)) return;
+
+    const history = req.query.history === 'true';
+    const moderatedReviews = await getPublicReviews(placeId, history);
+
+    // JSON stays the default (browsers sending text/html get JSON too; the widget has its own route)
+    res.vary('Accept');
+    const accepted = req.accepts(['application/json', REVIEW_FORMATS.jsonld, REVIEW_FORMATS.rss, REVIEW_FORMATS.atom]);
+    const format = Object.keys(REVIEW_FORMATS).find((name) => REVIEW_FORMATS[name] === accepted);
+    if (format) {
+      return sendReviewsFormat(req, res, format, moderatedReviews, placeId);
+    }
+
+    res.json({ ...(await buildReviewsResponse(moderatedReviews, placeId, false)), history });
   } catch (error) {
     console.error('Reviews API error:', error);
     res.status(500).json({
@@ -159,29 +264,89 @@ app.get('/api/reviews', async (req, res) => {
   }
 });
 
-// Force refresh reviews endpoint
-app.get('/api/reviews/refresh', async (req, res) => {
+// Reviews as JSON-LD, RSS, Atom or an embeddable HTML widget (?place=, ?lang=ar|en)
+// Widget: ?limit= (default 6) and ?embed=page for a full document to use in an <iframe>
+const REVIEW_FORMAT_ROUTES = {
+  '/api/reviews/jsonld': 'jsonld',
+  '/api/reviews/feed.rss': 'rss',
+  '/api/reviews/feed.atom': 'atom',
+  '/api/reviews/widget': 'widget'
+};
+
+for (const [route, format] of Object.entries(REVIEW_FORMAT_ROUTES)) {
+  app.get(route, publicCors, async (req, res) => {
+    try {
+      const placeId = req.query.place || null;
+      if (!findPlaceOr404(placeId, res)) return;
+
+      const moderatedReviews = await getPublicReviews(placeId);
+      sendReviewsFormat(req, res, format, moderatedReviews, placeId);
+    } catch (error) {
+      console.error(`Reviews ${format} error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch reviews',
+        details: error.message
+      });
+    }
+  });
+}
+
+// Review statistics: average, star distribution, text share, keywords and monthly trends
+app.get('/api/reviews/stats', async (req, res) => {
   try {
-    console.log('🔄 Force refreshing reviews from Apify...');
-    const reviews = await apifyService.getReviews(true);
-    const cacheStatus = apifyService.getCacheStatus();
-    
+    const placeId = req.query.place || null;
+    if (!findPlaceOr404(placeId, res)) return;
+
+    // Same moderated reviews as /api/reviews, so hidden reviews don't count towards the public stats
+    const reviews = await getPublicReviews(placeId, req.query.history === 'true');
+    const keywordLimit = Math.min(parseInt(req.query.keywords) || 10, 50);
+
     res.json({
       success: true,
-      data: reviews,
-      count: reviews.length,
-      timestamp: new Date().toISOString(),
-      source: 'apify_google_maps',
-      cache: cacheStatus,
-      refreshed: true,
-      limits: {
-        daily: cacheStatus.counters.daily,
-        monthly: cacheStatus.counters.monthly,
-        limits: cacheStatus.limits
-      }
+      data: computeReviewStats(reviews, { keywordLimit }),
+      place: placeId || 'all',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Review stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute review statistics',
+      details: error.message
     });
+  }
+});
+
+// Configured review places (branches)
+app.get('/api/reviews/places', (req, res) => {
+  res.json({
+    success: true,
+    data: apifyService.getPlaces()
+  });
+});
+
+// Force refresh reviews endpoint (admin only - each refresh uses Apify quota)
+// Refreshes one place ({ "place": "<id>" } or ?place=<id>) or all places
+app.post('/api/reviews/refresh', requireAdmin, async (req, res) => {
+  const placeId = req.body?.place || req.query.place || null;
+
+  try {
+    if (!findPlaceOr404(placeId, res)) return;
+
+    console.log(`🔄 Force refreshing reviews from Apify (requested by ${req.admin.name})...`, placeId || 'all places');
+    const reviews = await apifyService.getReviews(true, placeId, { trigger: 'admin' });
+    const response = await buildReviewsResponse(reviews, placeId, true);
+
+    await auditLog.record(req, 'reviews.refresh', {
+      place: placeId || 'all',
+      count: reviews.length
+    }).catch(() => {});
+
+    res.json(response);
   } catch (error) {
     console.error('Force refresh error:', error);
+    await auditLog.record(req, 'reviews.refresh', { place: placeId || 'all', error: error.message }).catch(() => {});
     res.status(500).json({
       success: false,
       error: 'Failed to refresh reviews',
@@ -190,92 +355,130 @@ app.get('/api/reviews/refresh', async (req, res) => {
   }
 });
 
-// Contact form endpoint
-app.post('/api/contact', async (req, res) => {
+// Scheduled review refresh (Vercel Cron or any scheduler sending CRON_SECRET)
+// On Vercel this route is served by its own function (api/cron/refresh-reviews.js, see vercel.json)
+app.get('/api/cron/refresh-reviews', requireCronSecret, refreshReviews);
+
+// Cron: deliver queued mail that is due for a retry (on hosts without the background worker, e.g. Vercel)
+app.get('/api/cron/process-mail', requireCronSecret, async (req, res) => {
   try {
-    const { name, email, phone, service, message, language, jobTitle, officeName } = req.body;
+    const result = await mailQueue.processQueue();
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Scheduled mail queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process mail queue'
+    });
+  }
+});
 
-    // Service name mapping to Arabic
-    const serviceNames = {
-      'permits': 'التصاريح البيئية',
-      'reports': 'التقارير البيئية الدورية',
-      'assessment': 'تقييم الأثر البيئي',
-      'audit': 'التدقيق البيئي',
-      'management': 'خطط الإدارة البيئية',
-      'rehabilitation': 'خطط إعادة التأهيل البيئي',
-      'consulting': 'الاستشارات الفنية المتخصصة',
-      'mawan': 'إصدار تصريح موان',
-      'other': 'خدمة أخرى'
-    };
+// Signed single-use form token (fetched when a form is rendered, sent back as `formToken`; required when SPAM_REQUIRE_FORM_TOKEN=true)
+app.get('/api/form-token', (req, res) => {
+  const form = ['newsletter', 'appointment'].includes(req.query.form) ? req.query.form : 'contact';
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    form,
+    formToken: spamGuard.createFormToken(form),
+    honeypotField: spamGuard.getHoneypotField()
+  });
+});
 
-    // Validate required fields
-    if (!name || !email || !message) {
-      return res.status(400).json({ 
-        error: 'Name, email, and message are required' 
-      });
-    }
+// Contact form endpoint (JSON, or multipart/form-data with document attachments)
+// The IP rate limit runs before the upload is read; the checks that need the fields run after it
+app.post('/api/contact', rateLimit('contact'), multipartForm, spamProtection('contact'), validateBody(contactSchema), async (req, res) => {
+  let lead = null;
+
+  try {
+    const { name, email, phone, service, message, language, jobTitle, officeName } = req.body;
 
-    // Validate email format using axios (optional external validation)
+    // Small files go with the office email, larger ones are stored behind an expiring download link
+    const files = await attachmentService.process(req.files);
+
+    // Store the submission before attempting delivery so the lead is kept if the mail fails
+    // A storage failure doesn't block the request: the office email still goes out
     try {
-      const emailValidation = await emailService.validateEmail(email);
-      if (!emailValidation.valid) {
-        return res.status(400).json({ 
-          error: 'Invalid email address' 
-        });
-      }
-    } catch (validationError) {
-      console.log('Email validation service unavailable, proceeding with basic validation');
+      lead = await leadService.createLead({
+        name, email, phone, service, message, language, jobTitle, officeName,
+        attachments: files.map(({ content, ...file }) => file)
+      });
+    } catch (storeError) {
+      console.error('❌ Error storing lead, sending the office email only:', storeError);
     }
+    const setDeliveryStatus = (status, errorMessage = null) => (lead
+      ? leadService.updateDeliveryStatus(lead.id, status, errorMessage).catch((storeError) => {
+        console.error('❌ Error updating lead delivery status:', storeError);
+      })
+      : Promise.resolve());
 
     // Check if email configuration is available
-    if (!EMAIL_USER || !EMAIL_PASS || !EMAIL_HOST || !RECIPIENT_EMAIL) {
+    if (!emailService.isConfigured() || !RECIPIENT_EMAIL) {
       console.log('Email configuration missing:', {
-        EMAIL_USER: !!EMAIL_USER,
-        EMAIL_PASS: !!EMAIL_PASS,
-        EMAIL_HOST: !!EMAIL_HOST,
-        RECIPIENT_EMAIL: !!RECIPIENT_EMAIL,
-        RESERVE_EMAIL: !!RESERVE_EMAIL
+        EMAIL_DRIVER,
+        missing: config.features.email.missing
       });
+      await setDeliveryStatus('not_configured');
       return res.status(500).json({ 
         error: 'Email service not configured. Please contact administrator.',
         debug: 'Missing environment variables'
       });
     }
 
-    // Create transporter
-    const transporter = createTransporter();
-
-    // Email content - always in Arabic for business emails
-    const subject = `رسالة جديدة من ${name} - بصمة الأرض`;
-
-    const emailContent = `
-      <h2>رسالة جديدة من موقع بصمة الأرض</h2>
-      <p><strong>الاسم:</strong> ${name}</p>
-      <p><strong>البريد الإلكتروني:</strong> ${email}</p>
-      <p><strong>الهاتف:</strong> ${phone || 'غير محدد'}</p>
-      <p><strong>المسمى الوظيفي:</strong> ${jobTitle || 'غير محدد'}</p>
-      <p><strong>اسم الشركة:</strong> ${officeName || 'غير محدد'}</p>
-      <p><strong>الخدمة المطلوبة:</strong> ${serviceNames[service] || service || 'غير محدد'}</p>
-      <p><strong>الرسالة:</strong></p>
-      <p>${message}</p>
-      <hr>
-      <p><em>تم الإرسال من موقع بصمة الأرض</em></p>
-    `;
+    // Office email - always in Arabic for business emails
+    const templateData = { reference: lead ? lead.reference : null, name, email, phone, service, message, language, jobTitle, officeName };
+    const officeEmail = templateService.render('contactNotification', 'ar', {
+      ...templateData,
+      attachments: files.map((file) => ({
+        filename: file.filename,
+        size: file.size,
+        url: file.delivery === 'link'
+          ? `${getBaseUrl(req)}/api/contact/attachments/${file.id}?token=${encodeURIComponent(attachmentService.createDownloadToken(file))}`
+          : null,
+        expiresAt: file.expiresAt || null
+      }))
+    });
 
     // Email options - send to main email and reserve email if available
     const toEmails = RESERVE_EMAIL ? `${RECIPIENT_EMAIL}, ${RESERVE_EMAIL}` : RECIPIENT_EMAIL;
     const mailOptions = {
       from: `"بصمة الأرض" <${SENDER_EMAIL}>`,
       to: toEmails,
-      subject: subject,
-      html: emailContent
+      replyTo: email,
+      ...officeEmail,
+      // Base64 strings so the attachments survive the persisted mail queue
+      attachments: files
+        .filter((file) => file.delivery === 'attachment')
+        .map((file) => ({
+          filename: file.filename,
+          contentType: file.mime,
+          content: file.content.toString('base64'),
+          encoding: 'base64'
+        }))
     };
 
-    // Send email
-    await transporter.sendMail(mailOptions);
+    // Queue email for delivery (the worker retries if the mail server is unavailable)
+    await setDeliveryStatus('queued');
+    await mailQueue.enqueue(mailOptions, lead ? { type: 'lead', leadId: lead.id } : { type: 'contact' });
+
+    // Acknowledge the request to the customer in their chosen language (fixed text, see the template)
+    // Only with a stored lead, since the acknowledgment is built around its reference
+    if (lead) {
+      const acknowledgment = templateService.render('contactAcknowledgment', language, { reference: lead.reference, service });
+      await mailQueue.enqueue({
+        from: `"${language === 'en' ? 'Earth Footprint' : 'بصمة الأرض'}" <${SENDER_EMAIL}>`,
+        to: email,
+        replyTo: RECIPIENT_EMAIL,
+        ...acknowledgment
+      }, { type: 'lead_acknowledgment', leadId: lead.id });
+    }
 
     res.status(200).json({ 
       success: true, 
+      reference: lead ? lead.reference : null,
       message: language === 'ar' 
         ? 'تم إرسال الرسالة بنجاح!' 
         : 'Message sent successfully!' 
@@ -283,56 +486,171 @@ app.post('/api/contact', async (req, res) => {
 
   } catch (error) {
     console.error('Contact form error:', error);
+    if (lead) {
+      await leadService.updateDeliveryStatus(lead.id, 'failed', error.message).catch((storeError) => {
+        console.error('❌ Error updating lead delivery status:', storeError);
+      });
+    }
     res.status(500).json({ 
-      error: 'Failed to send email',
-      details: error.message 
+      error: 'Failed to send email'
     });
   }
 });
 
-// Newsletter subscription endpoint
-app.post('/api/newsletter', async (req, res) => {
+// Download a contact-form attachment that was too large for the office email
+// The signed token in the link expires with the stored file
+app.get('/api/contact/attachments/:id', async (req, res) => {
   try {
-    const { email, language } = req.body;
+    const download = await attachmentService.getDownload(req.params.id, req.query.token);
+    if (!download) {
+      return res.status(404).json({ success: false, error: 'Download link is invalid or has expired' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.attachment(download.meta.filename);
+    res.type(download.meta.mime);
+    res.send(download.content);
+  } catch (error) {
+    console.error('Attachment download error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download attachment'
+    });
+  }
+});
+
+const LEAD_STATUS_MESSAGES = {
+  ar: {
+    missing: 'يرجى إدخال رقم الطلب والبريد الإلكتروني المستخدم في الطلب',
+    not_found: 'لم يتم العثور على طلب بهذا الرقم والبريد الإلكتروني',
+    ip_rate_limit: 'عدد كبير من الطلبات، يرجى المحاولة لاحقاً'
+  },
+  en: {
+    missing: 'Please enter the reference number and the email address used for the request',
+    not_found: 'No request was found with this reference and email address',
+    ip_rate_limit: 'Too many requests, please try again later'
+  }
+};
+
+// Customer lookup of a request's status: GET /api/contact/status/EF-2025-00042?email=...&language=en
+// The email must match the one on the request; a wrong email gets the same answer as an unknown reference
+app.get('/api/contact/status/:ref', async (req, res) => {
+  const language = req.query.language === 'en' ? 'en' : 'ar';
+  const messages = LEAD_STATUS_MESSAGES[language];
+
+  try {
+    res.setHeader('Cache-Control', 'no-store');
 
+    const email = String(req.query.email || '').trim().toLowerCase();
     if (!email) {
-      return res.status(400).json({ 
-        error: 'Email is required' 
-      });
+      return res.status(400).json({ success: false, error: messages.missing });
+    }
+
+    const rejection = await spamGuard.checkLookup('lead_status', req.ip);
+    if (rejection) {
+      res.setHeader('Retry-After', String(rejection.retryAfter));
+      return res.status(rejection.status).json({ success: false, error: messages[rejection.reason], reason: rejection.reason });
+    }
+
+    const lead = await leadService.getLeadByReference(req.params.ref);
+    if (!lead || String(lead.email).trim().toLowerCase() !== email) {
+      return res.status(404).json({ success: false, error: messages.not_found });
     }
 
+    const status = lead.status || 'received';
+    res.json({
+      success: true,
+      data: {
+        reference: lead.reference,
+        service: lead.service,
+        serviceName: getServiceName(lead.service, language),
+        createdAt: lead.createdAt,
+        status,
+        statusName: getLeadStatusName(status, language),
+        updatedAt: lead.statusUpdatedAt || lead.createdAt,
+        history: (lead.statusHistory || []).map((entry) => ({
+          status: entry.status,
+          statusName: getLeadStatusName(entry.status, language),
+          note: entry.note,
+          changedAt: entry.changedAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Lead status lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up request status',
+      details: error.message
+    });
+  }
+});
+
+// Minimal bilingual result page for links opened from emails
+const renderResultPage = (language, title, message) => {
+  const dir = language === 'en' ? 'ltr' : 'rtl';
+  return `<!DOCTYPE html>
+<html lang="${language === 'en' ? 'en' : 'ar'}" dir="${dir}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: Arial, sans-serif; text-align: center; padding: 40px;">
+  <h2>${title}</h2>
+  <p>${message}</p>
+  <p><a href="https://erthfc.com">erthfc.com</a></p>
+</body>
+</html>`;
+};
+
+// Newsletter subscription endpoint (double opt-in)
+app.post('/api/newsletter', spamProtection('newsletter'), validateBody(newsletterSchema), async (req, res) => {
+  try {
+    const { email, language } = req.body;
+
     // Check if email configuration is available
-    if (!EMAIL_USER || !EMAIL_PASS || !EMAIL_HOST || !RECIPIENT_EMAIL) {
+    if (!emailService.isConfigured() || !RECIPIENT_EMAIL) {
       return res.status(500).json({ 
         error: 'Email service not configured. Please contact administrator.' 
       });
     }
 
-    const transporter = createTransporter();
+    const { subscriber, alreadyConfirmed } = await newsletterService.subscribe(email, language);
 
-    const subject = 'اشتراك جديد في النشرة الإخبارية - بصمة الأرض';
+    if (alreadyConfirmed) {
+      return res.status(200).json({
+        success: true,
+        status: 'confirmed',
+        message: language === 'ar'
+          ? 'أنت مشترك بالفعل في النشرة الإخبارية'
+          : 'You are already subscribed to the newsletter'
+      });
+    }
 
-    const emailContent = `
-      <h2>اشتراك جديد في النشرة الإخبارية</h2>
-      <p><strong>البريد الإلكتروني:</strong> ${email}</p>
-      <p><em>تم الاشتراك من موقع بصمة الأرض</em></p>
-    `;
+    const baseUrl = getBaseUrl(req);
+    const confirmUrl = `${baseUrl}/api/newsletter/confirm?token=${encodeURIComponent(newsletterService.createConfirmToken(subscriber.email))}`;
+    const unsubscribeUrl = `${baseUrl}/api/newsletter/unsubscribe?token=${encodeURIComponent(newsletterService.createUnsubscribeToken(subscriber.email))}`;
 
-    const toEmails = RESERVE_EMAIL ? `${RECIPIENT_EMAIL}, ${RESERVE_EMAIL}` : RECIPIENT_EMAIL;
-    const mailOptions = {
-      from: `"بصمة الأرض" <${SENDER_EMAIL}>`,
-      to: toEmails,
-      subject: subject,
-      html: emailContent
-    };
+    // Confirmation email - both languages, subscriber's language first
+    const confirmEmail = templateService.renderBilingual('newsletterConfirm', subscriber.language, {
+      confirmUrl,
+      unsubscribeUrl
+    });
 
-    await transporter.sendMail(mailOptions);
+    const job = await mailQueue.enqueue({
+      from: `"بصمة الأرض" <${SENDER_EMAIL}>`,
+      to: subscriber.email,
+      ...confirmEmail,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`
+      }
+    }, { type: 'newsletter_confirm' });
 
     res.status(200).json({ 
       success: true, 
+      status: 'pending',
+      reference: job.id,
       message: language === 'ar' 
-        ? 'تم الاشتراك في النشرة الإخبارية بنجاح!' 
-        : 'Successfully subscribed to newsletter!' 
+        ? 'تم إرسال رسالة تأكيد إلى بريدك الإلكتروني' 
+        : 'Please check your email to confirm your subscription' 
     });
 
   } catch (error) {
@@ -344,12 +662,1109 @@ app.post('/api/newsletter', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  if (EMAIL_HOST && RECIPIENT_EMAIL && RESERVE_EMAIL) {
-    console.log(`📧 Email service: ${EMAIL_HOST}`);
-    console.log(`📬 Sending emails to: ${RECIPIENT_EMAIL}, ${RESERVE_EMAIL}`);
+// Newsletter confirmation link
+app.get('/api/newsletter/confirm', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const subscriber = await newsletterService.confirm(req.query.token);
+
+    if (!subscriber) {
+      return res.status(400).send(renderResultPage(
+        'ar',
+        'رابط غير صالح / Invalid link',
+        'رابط التأكيد غير صالح أو منتهي الصلاحية. / This confirmation link is invalid or has expired.'
+      ));
+    }
+
+    // Notify the office about the new confirmed subscriber
+    if (emailService.isConfigured() && RECIPIENT_EMAIL) {
+      const toEmails = RESERVE_EMAIL ? `${RECIPIENT_EMAIL}, ${RESERVE_EMAIL}` : RECIPIENT_EMAIL;
+      mailQueue.enqueue({
+        from: `"بصمة الأرض" <${SENDER_EMAIL}>`,
+        to: toEmails,
+        ...templateService.render('newsletterNotification', 'ar', subscriber)
+      }, { type: 'newsletter_notification' }).catch((error) => {
+        console.error('Newsletter office notification error:', error);
+      });
+    }
+
+    res.send(subscriber.language === 'en'
+      ? renderResultPage('en', 'Subscription confirmed', 'Thank you! You are now subscribed to the Earth Footprint newsletter.')
+      : renderResultPage('ar', 'تم تأكيد الاشتراك', 'شكراً لك! تم تأكيد اشتراكك في نشرة بصمة الأرض الإخبارية.'));
+  } catch (error) {
+    console.error('Newsletter confirm error:', error);
+    res.status(500).send(renderResultPage('ar', 'خطأ / Error', 'حدث خطأ، يرجى المحاولة لاحقاً. / Something went wrong, please try again later.'));
+  }
+});
+
+// Newsletter unsubscribe link
+app.get('/api/newsletter/unsubscribe', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const subscriber = await newsletterService.unsubscribe(req.query.token);
+
+    if (!subscriber) {
+      return res.status(400).send(renderResultPage(
+        'ar',
+        'رابط غير صالح / Invalid link',
+        'رابط إلغاء الاشتراك غير صالح. / This unsubscribe link is invalid.'
+      ));
+    }
+
+    res.send(subscriber.language === 'en'
+      ? renderResultPage('en', 'Unsubscribed', 'You have been unsubscribed and will no longer receive our newsletter.')
+      : renderResultPage('ar', 'تم إلغاء الاشتراك', 'تم إلغاء اشتراكك ولن تصلك النشرة الإخبارية بعد الآن.'));
+  } catch (error) {
+    console.error('Newsletter unsubscribe error:', error);
+    res.status(500).send(renderResultPage('ar', 'خطأ / Error', 'حدث خطأ، يرجى المحاولة لاحقاً. / Something went wrong, please try again later.'));
+  }
+});
+
+// Appointment booking errors (see appointmentService.getSlotError)
+const APPOINTMENT_ERRORS = {
+  ar: {
+    invalid_time: 'وقت الموعد غير صالح',
+    outside_hours: 'الوقت المختار خارج أوقات العمل',
+    too_soon: 'يرجى اختيار موعد لاحق',
+    too_far: 'لا يمكن الحجز في هذا الوقت بعد، يرجى اختيار موعد أقرب',
+    unavailable: 'هذا الموعد لم يعد متاحاً، يرجى اختيار وقت آخر',
+    invalid_link: 'الرابط غير صالح أو منتهي الصلاحية'
+  },
+  en: {
+    invalid_time: 'Invalid appointment time',
+    outside_hours: 'The selected time is outside office hours',
+    too_soon: 'Please choose a later time',
+    too_far: 'Bookings are not open for that date yet, please choose an earlier time',
+    unavailable: 'This time is no longer available, please choose another',
+    invalid_link: 'This link is invalid or has expired'
+  }
+};
+
+const sendAppointmentError = (res, language, error) => {
+  res.status(error === 'unavailable' ? 409 : 400).json({
+    success: false,
+    error: APPOINTMENT_ERRORS[language === 'en' ? 'en' : 'ar'][error],
+    reason: error
+  });
+};
+
+// Appointment fields for emails and pages (local office time)
+const getAppointmentDetails = (appointment) => ({
+  ...appointmentService.getLocalTime(appointment),
+  timezone: appointmentService.getTimezoneLabel(),
+  location: config.appointments.location,
+  service: appointment.service
+});
+
+// Customer confirmation / cancellation and office notification, each with a calendar invite
+// action: 'booked', 'rescheduled' or 'cancelled'
+const queueAppointmentEmails = async (req, appointment, action, previousStart = null) => {
+  const cancelled = action === 'cancelled';
+  const baseUrl = getBaseUrl(req);
+  const token = cancelled ? null : appointmentService.createManageToken(appointment);
+  const previous = previousStart ? appointmentService.getLocalTime({ start: previousStart }) : null;
+  const templateData = {
+    ...getAppointmentDetails(appointment),
+    action,
+    rescheduled: action === 'rescheduled',
+    name: appointment.name,
+    email: appointment.email,
+    phone: appointment.phone,
+    notes: appointment.notes,
+    language: appointment.language,
+    previousDate: previous ? previous.date : null,
+    previousTime: previous ? previous.time : null,
+    cancelUrl: token ? `${baseUrl}/api/appointments/cancel?token=${encodeURIComponent(token)}` : null,
+    rescheduleUrl: token ? `${baseUrl}/api/appointments/reschedule?token=${encodeURIComponent(token)}` : null
+  };
+
+  const method = cancelled ? 'CANCEL' : 'REQUEST';
+  const invite = {
+    filename: cancelled ? 'cancelled-appointment.ics' : 'appointment.ics',
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content: createIcsEvent({
+      uid: `${appointment.id}@erthfc.com`,
+      method,
+      sequence: appointment.revision + (cancelled ? 1 : 0),
+      start: appointment.start,
+      end: appointment.end,
+      summary: `${getServiceName(appointment.service, appointment.language)} - ${appointment.language === 'en' ? 'Earth Footprint' : 'بصمة الأرض'}`,
+      description: appointment.notes,
+      location: config.appointments.location,
+      organizer: { name: 'بصمة الأرض', email: SENDER_EMAIL },
+      attendee: { name: appointment.name, email: appointment.email }
+    })
+  };
+
+  const customerEmail = templateService.render(cancelled ? 'appointmentCancellation' : 'appointmentConfirmation', appointment.language, templateData);
+  await mailQueue.enqueue({
+    from: `"${appointment.language === 'en' ? 'Earth Footprint' : 'بصمة الأرض'}" <${SENDER_EMAIL}>`,
+    to: appointment.email,
+    replyTo: RECIPIENT_EMAIL,
+    ...customerEmail,
+    attachments: [invite]
+  }, { type: 'appointment_customer', appointmentId: appointment.id, action });
+
+  const toEmails = RESERVE_EMAIL ? `${RECIPIENT_EMAIL}, ${RESERVE_EMAIL}` : RECIPIENT_EMAIL;
+  await mailQueue.enqueue({
+    from: `"بصمة الأرض" <${SENDER_EMAIL}>`,
+    to: toEmails,
+    replyTo: appointment.email,
+    ...templateService.render('appointmentNotification', 'ar', templateData),
+    attachments: [invite]
+  }, { type: 'appointment_notification', appointmentId: appointment.id, action });
+};
+
+// Available consultation slots (?from=YYYY-MM-DD&days=14, at most 31 days)
+app.get('/api/appointments/slots', async (req, res) => {
+  try {
+    const days = await appointmentService.getSlots({ from: req.query.from, days: req.query.days });
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        timezone: appointmentService.getTimezoneLabel(),
+        slotDuration: config.appointments.slotDuration / (60 * 1000),
+        days
+      }
+    });
+  } catch (error) {
+    console.error('Appointment slots error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load available times',
+      details: error.message
+    });
+  }
+});
+
+// Book a consultation
+app.post('/api/appointments', spamProtection('appointment'), validateBody(appointmentSchema), async (req, res) => {
+  try {
+    const { language } = req.body;
+
+    // Confirmation and calendar invite go by email: don't take bookings that can't be confirmed
+    if (!emailService.isConfigured() || !RECIPIENT_EMAIL) {
+      return res.status(500).json({
+        error: 'Email service not configured. Please contact administrator.'
+      });
+    }
+
+    const { appointment, error } = await appointmentService.book(req.body);
+    if (error) {
+      return sendAppointmentError(res, language, error);
+    }
+
+    await queueAppointmentEmails(req, appointment, 'booked');
+
+    res.status(201).json({
+      success: true,
+      reference: appointment.id,
+      appointment: {
+        start: appointment.start,
+        end: appointment.end,
+        service: appointment.service
+      },
+      message: language === 'ar'
+        ? 'تم حجز الموعد بنجاح، ستصلك رسالة تأكيد على بريدك الإلكتروني'
+        : 'Your appointment is booked, a confirmation has been sent to your email'
+    });
+  } catch (error) {
+    console.error('Appointment booking error:', error);
+    res.status(500).json({
+      error: 'Failed to book appointment',
+      details: error.message
+    });
+  }
+});
+
+// Appointment behind a manage link (for a frontend page instead of the built-in ones)
+app.get('/api/appointments/manage', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const appointment = await appointmentService.getByToken(req.query.token);
+    if (!appointment) {
+      return sendAppointmentError(res, req.query.language, 'invalid_link');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: appointment.status,
+        start: appointment.start,
+        end: appointment.end,
+        service: appointment.service,
+        name: appointment.name,
+        language: appointment.language,
+        ...getAppointmentDetails(appointment)
+      }
+    });
+  } catch (error) {
+    console.error('Appointment manage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load appointment',
+      details: error.message
+    });
+  }
+});
+
+// Cancel / reschedule links from the emails open a confirmation page; the page posts back a form
+const invalidAppointmentLinkPage = () => renderResultPage(
+  'ar',
+  'رابط غير صالح / Invalid link',
+  'الرابط غير صالح أو منتهي الصلاحية، أو تم تعديل الموعد. / This link is invalid or has expired, or the appointment has changed.'
+);
+
+app.get('/api/appointments/cancel', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const appointment = await appointmentService.getByToken(req.query.token);
+    if (!appointment || appointment.status !== 'confirmed') {
+      return res.status(400).send(invalidAppointmentLinkPage());
+    }
+
+    res.send(renderCancelPage(appointment.language, {
+      token: req.query.token,
+      details: getAppointmentDetails(appointment)
+    }));
+  } catch (error) {
+    console.error('Appointment cancel page error:', error);
+    res.status(500).send(renderResultPage('ar', 'خطأ / Error', 'حدث خطأ، يرجى المحاولة لاحقاً. / Something went wrong, please try again later.'));
+  }
+});
+
+app.get('/api/appointments/reschedule', async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const appointment = await appointmentService.getByToken(req.query.token);
+    if (!appointment || appointment.status !== 'confirmed') {
+      return res.status(400).send(invalidAppointmentLinkPage());
+    }
+
+    res.send(renderReschedulePage(appointment.language, {
+      token: req.query.token,
+      details: getAppointmentDetails(appointment),
+      days: await appointmentService.getSlots()
+    }));
+  } catch (error) {
+    console.error('Appointment reschedule page error:', error);
+    res.status(500).send(renderResultPage('ar', 'خطأ / Error', 'حدث خطأ، يرجى المحاولة لاحقاً. / Something went wrong, please try again later.'));
+  }
+});
+
+// Cancel (JSON { token } or the form from the cancel page)
+app.post('/api/appointments/cancel', express.urlencoded({ extended: false }), async (req, res) => {
+  const fromForm = req.is('application/x-www-form-urlencoded');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const { appointment, alreadyCancelled, error } = await appointmentService.cancel(req.body?.token);
+    if (error) {
+      return fromForm
+        ? res.status(400).send(invalidAppointmentLinkPage())
+        : sendAppointmentError(res, req.body?.language, error);
+    }
+
+    if (!alreadyCancelled) {
+      await queueAppointmentEmails(req, appointment, 'cancelled');
+    }
+
+    if (fromForm) {
+      return res.send(appointment.language === 'en'
+        ? renderResultPage('en', 'Appointment cancelled', 'Your appointment has been cancelled. A confirmation has been sent to your email.')
+        : renderResultPage('ar', 'تم إلغاء الموعد', 'تم إلغاء موعدك وأرسلنا لك رسالة تأكيد على بريدك الإلكتروني.'));
+    }
+
+    res.json({
+      success: true,
+      status: appointment.status
+    });
+  } catch (error) {
+    console.error('Appointment cancel error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel appointment',
+      details: error.message
+    });
+  }
+});
+
+// Reschedule (JSON { token, start } or the form from the reschedule page)
+app.post('/api/appointments/reschedule', express.urlencoded({ extended: false }), async (req, res) => {
+  const fromForm = req.is('application/x-www-form-urlencoded');
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const { appointment, previousStart, error } = await appointmentService.reschedule(req.body?.token, req.body?.start);
+    if (error) {
+      if (!fromForm) {
+        return sendAppointmentError(res, req.body?.language, error);
+      }
+      return res.status(error === 'unavailable' ? 409 : 400).send(error === 'invalid_link'
+        ? invalidAppointmentLinkPage()
+        : renderResultPage('ar', 'تعذر تغيير الموعد / Could not reschedule', `${APPOINTMENT_ERRORS.ar[error]} / ${APPOINTMENT_ERRORS.en[error]}`));
+    }
+
+    await queueAppointmentEmails(req, appointment, 'rescheduled', previousStart);
+
+    if (fromForm) {
+      const { date, time } = appointmentService.getLocalTime(appointment);
+      return res.send(appointment.language === 'en'
+        ? renderResultPage('en', 'Appointment rescheduled', `Your appointment has been moved to ${date} at ${time}. A new confirmation has been sent to your email.`)
+        : renderResultPage('ar', 'تم تغيير الموعد', `تم نقل موعدك إلى ${date} الساعة ${time}، وأرسلنا لك تأكيداً جديداً على بريدك الإلكتروني.`));
+    }
+
+    res.json({
+      success: true,
+      appointment: {
+        start: appointment.start,
+        end: appointment.end,
+        service: appointment.service
+      }
+    });
+  } catch (error) {
+    console.error('Appointment reschedule error:', error);
+    res.status(500).json({
+      error: 'Failed to reschedule appointment',
+      details: error.message
+    });
+  }
+});
+
+// Sandbox routes (SANDBOX=true only, never in production): captured mail and the fake Apify client
+if (config.sandbox.enabled) {
+  // List captured messages, newest first (?to= filters on a recipient)
+  app.get('/api/dev/mailbox', async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const messages = await sandboxMailbox.list({ to: req.query.to, limit });
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.json({
+        success: true,
+        data: messages,
+        count: messages.length
+      });
+    } catch (error) {
+      console.error('Sandbox mailbox error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to read sandbox mailbox',
+        details: error.message
+      });
+    }
+  });
+
+  // One message as JSON, or ?format=html (rendered body) / ?format=eml (source)
+  app.get('/api/dev/mailbox/:id', async (req, res) => {
+    try {
+      const message = await sandboxMailbox.get(req.params.id);
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not found'
+        });
+      }
+
+      res.setHeader('Cache-Control', 'no-store');
+      if (req.query.format === 'html') {
+        return res.type('html').send(message.html || `<pre>${escapeHtml(message.text || '')}</pre>`);
+      }
+      if (req.query.format === 'eml') {
+        return res.type('message/rfc822').send(message.raw);
+      }
+
+      const { raw, ...rest } = message;
+      res.json({
+        success: true,
+        data: {
+          ...rest,
+          attachments: rest.attachments.map(({ content, ...attachment }, index) => ({
+            ...attachment,
+            url: `/api/dev/mailbox/${message.id}/attachments/${index}`
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Sandbox mailbox error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to read sandbox message',
+        details: error.message
+      });
+    }
+  });
+
+  app.get('/api/dev/mailbox/:id/attachments/:index', async (req, res) => {
+    try {
+      const message = await sandboxMailbox.get(req.params.id);
+      const attachment = message && message.attachments[parseInt(req.params.index)];
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          error: 'Attachment not found'
+        });
+      }
+
+      res.setHeader('Cache-Control', 'no-store');
+      res.type(attachment.contentType || 'application/octet-stream');
+      res.attachment(attachment.filename || 'attachment');
+      res.send(Buffer.from(attachment.content, 'base64'));
+    } catch (error) {
+      console.error('Sandbox mailbox error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to read sandbox attachment',
+        details: error.message
+      });
+    }
+  });
+
+  app.delete('/api/dev/mailbox', async (req, res) => {
+    try {
+      const deleted = await sandboxMailbox.clear();
+      res.json({
+        success: true,
+        deleted
+      });
+    } catch (error) {
+      console.error('Sandbox mailbox error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to clear sandbox mailbox',
+        details: error.message
+      });
+    }
+  });
+
+  // Fake Apify runs: { mode: 'normal' | 'slow' | 'fail' | 'empty', delay (ms, for 'slow') }
+  app.get('/api/dev/apify', (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: getSimulation()
+    });
+  });
+
+  app.put('/api/dev/apify', (req, res) => {
+    try {
+      const simulation = setSimulation({ mode: req.body?.mode, delay: req.body?.delay });
+      console.log('🧪 Sandbox Apify simulation:', simulation);
+
+      res.json({
+        success: true,
+        data: simulation
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid simulation',
+        details: error.message
+      });
+    }
+  });
+}
+
+// Admin: list leads with search and filters
+app.get('/api/admin/leads', requireAdmin, async (req, res) => {
+  try {
+    const { q, service, status, requestStatus, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const leads = await leadService.listLeads({ q, service, status, requestStatus, from, to });
+
+    res.json({
+      success: true,
+      data: leads.slice(offset, offset + limit),
+      count: Math.min(limit, Math.max(leads.length - offset, 0)),
+      total: leads.length,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Admin leads error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list leads',
+      details: error.message
+    });
+  }
+});
+
+// Admin: export leads as CSV or JSON (same filters as the list route)
+app.get('/api/admin/leads/export', requireAdmin, async (req, res) => {
+  try {
+    const { q, service, status, requestStatus, from, to } = req.query;
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const leads = await leadService.listLeads({ q, service, status, requestStatus, from, to });
+    const fileName = `leads-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    await auditLog.record(req, 'leads.export', { format, count: leads.length, filters: { q, service, status, requestStatus, from, to } }).catch(() => {});
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'json') {
+      return res.json({
+        exportedAt: new Date().toISOString(),
+        count: leads.length,
+        leads
+      });
+    }
+
+    res.type('text/csv; charset=utf-8').send(leadService.toCSV(leads));
+  } catch (error) {
+    console.error('Admin leads export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export leads',
+      details: error.message
+    });
+  }
+});
+
+// Admin: get a single lead (by ID or reference number)
+app.get('/api/admin/leads/:id', requireAdmin, async (req, res) => {
+  try {
+    const lead = await leadService.getLead(req.params.id) || await leadService.getLeadByReference(req.params.id);
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: lead
+    });
+  } catch (error) {
+    console.error('Admin lead error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get lead',
+      details: error.message
+    });
+  }
+});
+
+// Admin: move a lead (by ID or reference number) to another workflow status
+// Body: { status, note?, notify? } - note is shown to the customer; notify: false skips the customer email
+app.patch('/api/admin/leads/:id/status', requireAdmin, async (req, res) => {
+  try {
+    const { status, note, notify } = req.body || {};
+    if (!LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${LEAD_STATUSES.join(', ')}`
+      });
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 2000)) {
+      return res.status(400).json({
+        success: false,
+        error: 'note must be a string of at most 2000 characters'
+      });
+    }
+
+    const found = await leadService.getLead(req.params.id) || await leadService.getLeadByReference(req.params.id);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lead not found'
+      });
+    }
+
+    const { lead, previousStatus, error } = await leadService.updateStatus(found.id, status, {
+      note: note ? note.trim() : null,
+      changedBy: req.admin.name
+    });
+    if (error === 'unchanged') {
+      return res.status(409).json({
+        success: false,
+        error: `Lead is already ${status}`
+      });
+    }
+
+    await auditLog.record(req, 'leads.status', { leadId: lead.id, reference: lead.reference, from: previousStatus, to: status }).catch(() => {});
+
+    // Tell the customer in their language, with the other language below
+    let notified = false;
+    if (notify !== false && lead.email && emailService.isConfigured()) {
+      const statusEmail = templateService.renderBilingual('leadStatusUpdate', lead.language, {
+        reference: lead.reference,
+        name: lead.name,
+        service: lead.service,
+        status,
+        previousStatus,
+        note: note ? note.trim() : null
+      });
+      await mailQueue.enqueue({
+        from: `"${lead.language === 'en' ? 'Earth Footprint' : 'بصمة الأرض'}" <${SENDER_EMAIL}>`,
+        to: lead.email,
+        replyTo: RECIPIENT_EMAIL,
+        ...statusEmail
+      }, { type: 'lead_status', leadId: lead.id });
+      notified = true;
+    }
+
+    res.json({
+      success: true,
+      data: lead,
+      notified
+    });
+  } catch (error) {
+    console.error('Lead status update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update lead status',
+      details: error.message
+    });
+  }
+});
+
+// Admin: mail queue status
+app.get('/api/admin/mail/queue', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await mailQueue.getStatus()
+    });
+  } catch (error) {
+    console.error('Admin mail queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get mail queue status',
+      details: error.message
+    });
+  }
+});
+
+// Admin: deliver due messages now (useful where no background worker runs)
+app.post('/api/admin/mail/queue/process', requireAdmin, async (req, res) => {
+  try {
+    const result = await mailQueue.processQueue();
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Admin mail queue process error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process mail queue',
+      details: error.message
+    });
+  }
+});
+
+// Admin: list messages that could not be delivered
+app.get('/api/admin/mail/dead-letter', requireAdmin, async (req, res) => {
+  try {
+    const deadLetters = await mailQueue.getDeadLetters();
+    res.json({
+      success: true,
+      data: deadLetters,
+      count: deadLetters.length
+    });
+  } catch (error) {
+    console.error('Admin dead-letter error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list dead-letter mail',
+      details: error.message
+    });
+  }
+});
+
+// Admin: move a dead-lettered message back to the queue
+app.post('/api/admin/mail/dead-letter/:id/requeue', requireAdmin, async (req, res) => {
+  try {
+    const job = await mailQueue.requeue(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Message not found in dead-letter'
+      });
+    }
+
+    if (job.meta?.type === 'lead') {
+      await leadService.updateDeliveryStatus(job.meta.leadId, 'queued');
+    }
+
+    await auditLog.record(req, 'mail.requeue', { jobId: job.id, subject: job.mailOptions.subject }).catch(() => {});
+    await mailQueue.deliver(job);
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Admin requeue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to requeue message',
+      details: error.message
+    });
+  }
+});
+
+// Review providers per place, in fallback order, and whether each is configured
+app.get('/api/admin/reviews/providers', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: apifyService.getProviderStatus()
+  });
+});
+
+// Curated testimonials for the manual review provider
+app.get('/api/admin/reviews/manual', requireAdmin, async (req, res) => {
+  try {
+    const reviews = await manualReviews.getReviews(req.query.place || null);
+    res.json({
+      success: true,
+      data: reviews,
+      count: reviews.length
+    });
+  } catch (error) {
+    console.error('Admin manual reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read manual reviews',
+      details: error.message
+    });
+  }
+});
+
+// Replace the curated testimonials: JSON body ([...] or { reviews: [...] }) or CSV (Content-Type: text/csv)
+// CSV columns: name, rating, review, date, title, place, reviewUrl, profileImage
+app.put('/api/admin/reviews/manual', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    let rows;
+    try {
+      rows = manualReviews.parseUpload(req.body, req.get('content-type'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload',
+        details: parseError.message
+      });
+    }
+
+    const { reviews, errors } = manualReviews.validate(rows);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid reviews',
+        errors
+      });
+    }
+
+    await manualReviews.replace(reviews, req.admin.name);
+    await auditLog.record(req, 'reviews.manual.upload', { count: reviews.length }).catch(() => {});
+
+    res.json({
+      success: true,
+      data: reviews,
+      count: reviews.length
+    });
+  } catch (error) {
+    console.error('Admin manual reviews upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save manual reviews',
+      details: error.message
+    });
+  }
+});
+
+// Scheduled refresh state per place and recent runs (?limit=)
+app.get('/api/admin/reviews/refresh-runs', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const [state, runs] = await Promise.all([reviewRefreshJob.getState(), reviewRefreshJob.getHistory(limit)]);
+
+    res.json({
+      success: true,
+      data: { places: state, runs },
+      count: runs.length
+    });
+  } catch (error) {
+    console.error('Admin refresh runs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read refresh runs',
+      details: error.message
+    });
+  }
+});
+
+// Admin: all archived reviews (including deleted ones) with their moderation state
+app.get('/api/admin/reviews', requireAdmin, async (req, res) => {
+  try {
+    const placeId = req.query.place || null;
+    if (!findPlaceOr404(placeId, res)) return;
+
+    const reviews = await apifyService.getReviews(false, placeId, { history: true, includeDeleted: true });
+    const moderation = await reviewModeration.getAll();
+
+    res.json({
+      success: true,
+      data: reviews.map((review) => ({ ...review, moderation: moderation[review.id] || null })),
+      count: reviews.length
+    });
+  } catch (error) {
+    console.error('Admin reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list reviews',
+      details: error.message
+    });
+  }
+});
+
+// Admin: hide/unhide, pin, reply to or override a review
+// Body (all optional): { hidden, hiddenReason, pinned, pinOrder, ownerReply: { text, language } | null, override: { name, review, title } | null }
+app.patch('/api/admin/reviews/:id/moderation', requireAdmin, async (req, res) => {
+  try {
+    const changes = req.body || {};
+    const validationError = reviewModeration.validateUpdate(changes);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const reviews = await apifyService.getReviews(false, null, { history: true, includeDeleted: true });
+    if (!reviews.some((review) => review.id === req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+
+    const entry = await reviewModeration.update(req.params.id, changes, req.admin.name);
+    await auditLog.record(req, 'reviews.moderate', { reviewId: req.params.id, changes }).catch(() => {});
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Review moderation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update review moderation',
+      details: error.message
+    });
+  }
+});
+
+// Admin: remove all moderation for a review
+app.delete('/api/admin/reviews/:id/moderation', requireAdmin, async (req, res) => {
+  try {
+    const cleared = await reviewModeration.clear(req.params.id);
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        error: 'No moderation found for this review'
+      });
+    }
+
+    await auditLog.record(req, 'reviews.moderation.clear', { reviewId: req.params.id }).catch(() => {});
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Review moderation clear error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear review moderation',
+      details: error.message
+    });
+  }
+});
+
+// Admin: set featured reviews in display order ({ "ids": [...] }); other reviews are unpinned
+app.put('/api/admin/reviews/featured', requireAdmin, async (req, res) => {
+  try {
+    const ids = req.body?.ids;
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: '"ids" must be an array of review IDs'
+      });
+    }
+
+    const uniqueIds = [...new Set(ids)];
+    await reviewModeration.setFeaturedOrder(uniqueIds, req.admin.name);
+    await auditLog.record(req, 'reviews.featured', { ids: uniqueIds }).catch(() => {});
+
+    res.json({
+      success: true,
+      data: uniqueIds
+    });
+  } catch (error) {
+    console.error('Featured reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set featured reviews',
+      details: error.message
+    });
+  }
+});
+
+// Admin: issue a signed bearer token in the caller's name (e.g. for a dashboard)
+// Only API-key admins can issue tokens, so a token can't be used to mint more tokens or other identities
+app.post('/api/admin/tokens', requireAdmin, async (req, res) => {
+  try {
+    if (req.admin.method !== 'api_key') {
+      return res.status(403).json({
+        success: false,
+        error: 'Tokens can only be issued with an API key'
+      });
+    }
+    if (req.body?.name && req.body.name !== req.admin.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tokens are issued in the name of the API key used'
+      });
+    }
+
+    const name = req.admin.name;
+    const ttlHours = parseFloat(req.body?.ttlHours) || 12;
+    const { id, token, expiresAt } = createAdminToken(name, ttlHours * 60 * 60 * 1000);
+
+    await auditLog.record(req, 'admin.token.issue', { name, tokenId: id, ttlHours, expiresAt }).catch(() => {});
+
+    res.json({
+      success: true,
+      data: { id, name, token, expiresAt }
+    });
+  } catch (error) {
+    console.error('Admin token error:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to issue token',
+      details: error.message
+    });
+  }
+});
+
+// Admin: revoke an issued token by its ID (API-key admins only)
+app.delete('/api/admin/tokens/:id', requireAdmin, async (req, res) => {
+  try {
+    if (req.admin.method !== 'api_key') {
+      return res.status(403).json({
+        success: false,
+        error: 'Tokens can only be revoked with an API key'
+      });
+    }
+
+    if (!/^[0-9a-f-]{36}$/.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid token ID'
+      });
+    }
+
+    await revokeAdminToken(req.params.id);
+    await auditLog.record(req, 'admin.token.revoke', { tokenId: req.params.id }).catch(() => {});
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('Admin token revoke error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke token',
+      details: error.message
+    });
+  }
+});
+
+// Apify usage: per-place daily/monthly consumption, remaining budget and the run ledger (?month=YYYY-MM)
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
+  try {
+    const month = req.query.month;
+    if (month && !/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid month',
+        details: 'Expected YYYY-MM'
+      });
+    }
+
+    const report = await apifyService.getUsageReport(month || undefined);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Admin usage report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build usage report',
+      details: error.message
+    });
+  }
+});
+
+// Admin: audit log of admin actions
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const entries = await auditLog.list({ action: req.query.action, actor: req.query.actor, limit });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read audit log',
+      details: error.message
+    });
+  }
+});
+
+// Admin: active configuration (secrets show only whether they are set) and feature status
+app.get('/api/admin/config', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: getRedactedConfig()
+  });
+});
+
+// Prometheus metrics for this instance: request counts/latency by route, mail sends, Apify runs
+app.get('/api/metrics', requireAdmin, (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
+// Start server
+app.listen(PORT, () => {
+  console.log(`🚀 Server running on port ${PORT}`);
+  if (config.sandbox.enabled) {
+    console.log(`🧪 Sandbox mode: mail captured at /api/dev/mailbox, Apify runs simulated (${getSimulation().mode})`);
+  }
+  mailQueue.start();
+  reviewRefreshJob.start();
+  if (emailService.isConfigured() && RECIPIENT_EMAIL) {
+    console.log(`📧 Email service: ${EMAIL_DRIVER}${EMAIL_DRIVER === 'smtp' ? ` (${EMAIL_HOST})` : ''}`);
+    console.log(`📬 Sending emails to: ${RESERVE_EMAIL ? `${RECIPIENT_EMAIL}, ${RESERVE_EMAIL}` : RECIPIENT_EMAIL}`);
   } else {
     console.log(`⚠️  Email service: Not configured (set environment variables)`);
   }
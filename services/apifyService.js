@@ -1,307 +1,742 @@
-import { ApifyClient } from 'apify-client';
-import fs from 'fs/promises';
-import fsSync from 'fs';
-import path from 'path';
-
-
-const client = new ApifyClient({
-    token: process.env.APIFY 
-});
-
-// Path to store the reviews JSON file
-const REVIEWS_FILE_PATH = path.join(process.cwd(), 'reviews.json');
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-
-// API call limits
-const DAILY_LIMIT = 10;
-const MONTHLY_LIMIT = 300;
-
-class ApifyService {
-    constructor() {
-        this.lastFetchTime = null;
-        this.cachedReviews = null;
-    }
-
-    // Check if cache is still valid
-    isCacheValid() {
-        if (!this.lastFetchTime) return false;
-        const now = new Date().getTime();
-        return (now - this.lastFetchTime) < CACHE_DURATION;
-    }
-
-    // Get current date string (YYYY-MM-DD)
-    getCurrentDateString() {
-        return new Date().toISOString().split('T')[0];
-    }
-
-    // Get current month string (YYYY-MM)
-    getCurrentMonthString() {
-        return new Date().toISOString().substring(0, 7);
-    }
-
-    // Check if we can make API calls
-    canMakeApiCall() {
-        try {
-            const data = JSON.parse(fsSync.readFileSync(REVIEWS_FILE_PATH, 'utf8'));
-            const today = this.getCurrentDateString();
-            const thisMonth = this.getCurrentMonthString();
-            
-            // Check daily limit
-            if (data.dailyCount && data.dailyCount.date === today && data.dailyCount.count >= DAILY_LIMIT) {
-                console.log(`⚠️ Daily API limit reached: ${data.dailyCount.count}/${DAILY_LIMIT}`);
-                return false;
-            }
-            
-            // Check monthly limit
-            if (data.monthlyCount && data.monthlyCount.month === thisMonth && data.monthlyCount.count >= MONTHLY_LIMIT) {
-                console.log(`⚠️ Monthly API limit reached: ${data.monthlyCount.count}/${MONTHLY_LIMIT}`);
-                return false;
-            }
-            
-            return true;
-        } catch (error) {
-            console.log('📊 No existing counter data, allowing API call');
-            return true;
-        }
-    }
-
-    // Update counters
-    updateCounters() {
-        try {
-            let data = {};
-            try {
-                data = JSON.parse(fsSync.readFileSync(REVIEWS_FILE_PATH, 'utf8'));
-            } catch (error) {
-                // File doesn't exist or is invalid, start fresh
-                data = {};
-            }
-
-            const today = this.getCurrentDateString();
-            const thisMonth = this.getCurrentMonthString();
-
-            // Update daily counter
-            if (!data.dailyCount || data.dailyCount.date !== today) {
-                data.dailyCount = { date: today, count: 1 };
-            } else {
-                data.dailyCount.count += 1;
-            }
-
-            // Update monthly counter
-            if (!data.monthlyCount || data.monthlyCount.month !== thisMonth) {
-                data.monthlyCount = { month: thisMonth, count: 1 };
-            } else {
-                data.monthlyCount.count += 1;
-            }
-
-            // Save updated data
-            fsSync.writeFileSync(REVIEWS_FILE_PATH, JSON.stringify(data, null, 2));
-            
-            console.log(`📊 API Call Counters - Daily: ${data.dailyCount.count}/${DAILY_LIMIT}, Monthly: ${data.monthlyCount.count}/${MONTHLY_LIMIT}`);
-            
-            return {
-                daily: data.dailyCount,
-                monthly: data.monthlyCount
-            };
-        } catch (error) {
-            console.error('❌ Error updating counters:', error);
-            return null;
-        }
-    }
-
-    // Load reviews from JSON file
-    async loadReviewsFromFile() {
-        try {
-            const data = await fs.readFile(REVIEWS_FILE_PATH, 'utf8');
-            const parsedData = JSON.parse(data);
-            
-            // Check if the cached data is still valid
-            if (parsedData.timestamp) {
-                const cacheTime = new Date(parsedData.timestamp).getTime();
-                const now = new Date().getTime();
-                if ((now - cacheTime) < CACHE_DURATION) {
-                    this.cachedReviews = parsedData.reviews;
-                    this.lastFetchTime = cacheTime;
-                    console.log('✅ Loaded reviews from cache file');
-                    return parsedData.reviews;
-                }
-            }
-            
-            return parsedData.reviews || [];
-        } catch (error) {
-            console.log('📁 No existing reviews file found, will fetch new data');
-            return [];
-        }
-    }
-
-    // Save reviews to JSON file
-    async saveReviewsToFile(reviews) {
-        try {
-            const data = {
-                timestamp: new Date().toISOString(),
-                reviews: reviews,
-                count: reviews.length,
-                source: 'apify_google_maps'
-            };
-            
-            await fs.writeFile(REVIEWS_FILE_PATH, JSON.stringify(data, null, 2));
-            console.log('💾 Reviews saved to file successfully');
-        } catch (error) {
-            console.error('❌ Error saving reviews to file:', error);
-        }
-    }
-
-    // Transform Apify data to our format
-    transformReviews(apifyData) {
-        return apifyData.map((review, index) => ({
-            id: `apify_review_${index}`,
-            name: review.name || 'مستخدم Google',
-            rating: review.stars || 5,
-            review: review.text || '',
-            profileImage: null, // Apify doesn't provide profile images
-            date: null, // Apify doesn't provide review dates
-            source: 'Google Maps (Apify)',
-            reviewUrl: review.reviewUrl || null,
-            title: review.title || 'مراجعة Google Maps'
-        }));
-    }
-
-    // Fetch reviews from Apify API
-    async fetchReviewsFromApify() {
-        try {
-            console.log('🔄 Fetching reviews from Apify API...');
-            
-            // Prepare Actor input
-            const input = {
-                "startUrls": [
-                    {
-                        "url": "https://www.google.com/maps/place/مكتب+بصمة+الارض+للاستشارات+البيئية%E2%80%AD/@26.344222,43.973797,17z/data=!4m6!3m5!1s0x157f596476ef1083:0x1627f4ca3423d980!8m2!3d26.3442221!4d43.9737974!16s%2Fg%2F11x0qjbj_2?hl=ar&entry=ttu&g_ep=EgoyMDI1MTAyMC4wIKXMDSoASAFQAw%3D%3D"
-                    }
-                ],
-                "maxReviews": 15,
-                "reviewsSort": "newest",
-                "language": "ar",
-                "reviewsOrigin": "all",
-                "personalData": true
-            };
-
-            // Run the Actor and wait for it to finish
-            const run = await client.actor("Xb8osYTtOjlsgI6k9").call(input);
-            console.log('📊 Apify run completed:', run.id);
-
-            // Fetch results from the run's dataset
-            const { items } = await client.dataset(run.defaultDatasetId).listItems();
-            console.log('📋 Retrieved items from Apify:', items.length);
-
-            if (items && items.length > 0) {
-                const transformedReviews = this.transformReviews(items);
-                console.log('✅ Successfully transformed reviews:', transformedReviews.length);
-                
-                // Save to file for future use
-                await this.saveReviewsToFile(transformedReviews);
-                
-                return transformedReviews;
-            } else {
-                console.warn('⚠️ No reviews found in Apify response');
-                return [];
-            }
-        } catch (error) {
-            console.error('❌ Apify API error:', error);
-            throw error;
-        }
-    }
-
-    // Main method to get reviews (with caching and counter limits)
-    async getReviews(forceRefresh = false) {
-        try {
-            // If cache is valid and not forcing refresh, return cached data
-            if (!forceRefresh && this.isCacheValid() && this.cachedReviews) {
-                console.log('📦 Returning cached reviews');
-                return this.cachedReviews;
-            }
-
-            // Try to load from file first
-            const fileReviews = await this.loadReviewsFromFile();
-            if (fileReviews.length > 0 && !forceRefresh) {
-                this.cachedReviews = fileReviews;
-                this.lastFetchTime = new Date().getTime();
-                console.log('📁 Returning reviews from file');
-                return fileReviews;
-            }
-
-            // Check if we can make API calls (counter limits)
-            if (!this.canMakeApiCall()) {
-                console.log('🚫 API call limits reached, returning cached data only');
-                if (fileReviews.length > 0) {
-                    return fileReviews;
-                }
-                throw new Error('API call limits reached and no cached data available');
-            }
-
-            // If no valid cache, fetch from Apify
-            console.log('🔄 Cache invalid or force refresh requested, fetching from Apify...');
-            const freshReviews = await this.fetchReviewsFromApify();
-            
-            // Update counters after successful API call
-            this.updateCounters();
-            
-            this.cachedReviews = freshReviews;
-            this.lastFetchTime = new Date().getTime();
-            
-            return freshReviews;
-        } catch (error) {
-            console.error('❌ Error getting reviews:', error);
-            
-            // Try to return cached data as fallback
-            if (this.cachedReviews) {
-                console.log('🔄 Returning cached data as fallback');
-                return this.cachedReviews;
-            }
-            
-            // If no cache, try to load from file
-            try {
-                const fileReviews = await this.loadReviewsFromFile();
-                if (fileReviews.length > 0) {
-                    console.log('📁 Returning file data as fallback');
-                    return fileReviews;
-                }
-            } catch (fileError) {
-                console.error('❌ Could not load from file either:', fileError);
-            }
-            
-            throw error;
-        }
-    }
-
-    // Get cache status
-    getCacheStatus() {
-        let counterInfo = null;
-        try {
-            const data = JSON.parse(fsSync.readFileSync(REVIEWS_FILE_PATH, 'utf8'));
-            counterInfo = {
-                daily: data.dailyCount || { date: this.getCurrentDateString(), count: 0 },
-                monthly: data.monthlyCount || { month: this.getCurrentMonthString(), count: 0 }
-            };
-        } catch (error) {
-            counterInfo = {
-                daily: { date: this.getCurrentDateString(), count: 0 },
-                monthly: { month: this.getCurrentMonthString(), count: 0 }
-            };
-        }
-
-        return {
-            hasCache: !!this.cachedReviews,
-            isValid: this.isCacheValid(),
-            lastFetch: this.lastFetchTime,
-            cacheAge: this.lastFetchTime ? new Date().getTime() - this.lastFetchTime : null,
-            counters: counterInfo,
-            limits: {
-                daily: DAILY_LIMIT,
-                monthly: MONTHLY_LIMIT
-            }
-        };
-    }
-}
-
-// Export singleton instance
-const apifyService = new ApifyService();
-export default apifyService;
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import ReviewArchive from './reviewArchive.js';
+import { createKvStore } from './kvStores/index.js';
+import QuotaLedger, { DAILY_LIMIT, MONTHLY_LIMIT } from './quotaLedger.js';
+import metrics from './metrics.js';
+import { createReviewProvider, getProviderNames } from './reviewProviders/index.js';
+import { createReviewId } from './reviewProviders/reviewShape.js';
+import config from '../config/index.js';
+
+const CACHE_DURATION = config.reviews.cacheDuration; // default 24 hours
+
+// API call limits (per place) come from APIFY_DAILY_LIMIT / APIFY_MONTHLY_LIMIT, see quotaLedger.js
+
+// Review providers in fallback order (comma-separated; a place can override with `providers`)
+// 'apify', 'google_places', 'manual' or 'fixture'
+const REVIEW_PROVIDERS = config.reviews.providers;
+
+// Storage for the reviews cache and quota counters: 'file' (default), 'memory' or 'redis'
+// Use 'redis' on Vercel: the filesystem is read-only and not shared between instances
+const REVIEWS_STORAGE = config.reviews.storage;
+
+// Counter keys expire a little after their period ends
+const DAILY_COUNTER_TTL = 2 * 24 * 60 * 60 * 1000;
+const MONTHLY_COUNTER_TTL = 32 * 24 * 60 * 60 * 1000;
+
+// Refresh lock: only one actor run per place at a time across instances.
+// The TTL outlives a slow actor run; a crashed instance's lock simply expires.
+const REFRESH_LOCK_TTL = config.reviews.refreshLockTtl;
+// How long a request with no cached data waits for another instance's run (below Vercel's 30s maxDuration)
+const REFRESH_WAIT = config.reviews.refreshWait;
+const REFRESH_POLL_INTERVAL = 1000;
+// Minimum gap between background revalidation attempts (e.g. while the quota is exhausted)
+const REVALIDATE_COOLDOWN = config.reviews.revalidateCooldown;
+
+// Default place: the main office (REVIEW_PLACE_URL, REVIEW_PLACE_NAME, REVIEW_MAX_REVIEWS)
+const DEFAULT_PLACES = [
+    {
+        id: 'main',
+        name: config.reviews.placeName,
+        url: config.reviews.placeUrl,
+        maxReviews: config.reviews.maxReviews,
+        language: 'ar',
+        sort: 'newest'
+    }
+];
+
+// Load the list of places from REVIEW_PLACES (JSON array) or REVIEW_PLACES_FILE (path to a JSON file)
+// Each place: { id, name, url, maxReviews?, language?, sort?, googlePlaceId?, providers? }
+const loadPlaces = () => {
+    let places = DEFAULT_PLACES;
+
+    try {
+        if (config.reviews.places) {
+            places = config.reviews.places;
+        } else if (config.reviews.placesFile) {
+            places = JSON.parse(fsSync.readFileSync(path.resolve(config.reviews.placesFile), 'utf8'));
+        }
+    } catch (error) {
+        console.error('❌ Invalid review places configuration, using default place:', error.message);
+        places = DEFAULT_PLACES;
+    }
+
+    if (!Array.isArray(places) || places.length === 0) {
+        console.error('❌ Review places configuration must be a non-empty array, using default place');
+        places = DEFAULT_PLACES;
+    }
+
+    return places
+        .filter((place) => place && place.id && place.url)
+        .map((place, index) => ({
+            id: String(place.id),
+            name: place.name || String(place.id),
+            url: place.url,
+            maxReviews: parseInt(place.maxReviews) || config.reviews.maxReviews,
+            language: place.language || 'ar',
+            sort: place.sort || 'newest',
+            googlePlaceId: place.googlePlaceId || null,
+            providers: Array.isArray(place.providers) ? place.providers.map((name) => String(name).toLowerCase()) : null,
+            // Cache file used before the storage layer; read once to seed the cache
+            legacyFile: path.join(process.cwd(), index === 0 ? 'reviews.json' : `reviews-${place.id}.json`)
+        }));
+};
+
+class ApifyService {
+    constructor() {
+        this.places = loadPlaces();
+        this.storage = null;
+        this.ledger = new QuotaLedger(() => this.getStorage());
+        this.archive = new ReviewArchive(() => this.getStorage());
+        this.providers = {};
+        // Per-place in-memory cache: { [placeId]: { lastFetchTime, cachedReviews, provider, refreshing, lastRevalidateAt } }
+        // refreshing holds the in-flight refresh promise shared by concurrent callers
+        this.state = {};
+        for (const place of this.places) {
+            this.state[place.id] = { lastFetchTime: null, cachedReviews: null, provider: null, refreshing: null, lastRevalidateAt: null };
+        }
+    }
+
+    // Create the configured storage on first use
+    getStorage() {
+        if (!this.storage) {
+            this.storage = createKvStore(REVIEWS_STORAGE);
+        }
+        return this.storage;
+    }
+
+    // Allow swapping the storage (e.g. in tests or for a shared store)
+    setStorage(storage) {
+        this.storage = storage;
+    }
+
+    // Create a provider on first use
+    getProvider(name) {
+        if (!this.providers[name]) {
+            this.providers[name] = createReviewProvider(name);
+        }
+        return this.providers[name];
+    }
+
+    // A place's providers in fallback order (unknown names are skipped)
+    getProviderOrder(place) {
+        const known = getProviderNames();
+        return (place.providers || REVIEW_PROVIDERS).filter((name) => {
+            if (known.includes(name)) return true;
+            console.error(`❌ Unknown review provider "${name}" for ${place.id}, skipping`);
+            return false;
+        });
+    }
+
+    // Providers per place with their configuration state
+    getProviderStatus() {
+        return {
+            default: REVIEW_PROVIDERS,
+            places: this.places.map((place) => ({
+                place: place.id,
+                provider: this.state[place.id].provider,
+                providers: this.getProviderOrder(place).map((name) => ({
+                    name,
+                    configured: this.getProvider(name).isConfigured()
+                }))
+            }))
+        };
+    }
+
+    // Whether a refresh could fetch anything: a configured non-Apify provider, or Apify within quota
+    async hasAvailableProvider(place) {
+        for (const name of this.getProviderOrder(place)) {
+            if (!this.getProvider(name).isConfigured()) continue;
+            if (name !== 'apify' || await this.canMakeApiCall(place)) return true;
+        }
+        return false;
+    }
+
+    getCacheKey(place) {
+        return `reviews:cache:${place.id}`;
+    }
+
+    getLockKey(place) {
+        return `reviews:lock:${place.id}`;
+    }
+
+    getCounterKeys(place) {
+        return {
+            daily: `reviews:counter:${place.id}:daily:${this.getCurrentDateString()}`,
+            monthly: `reviews:counter:${place.id}:monthly:${this.getCurrentMonthString()}`
+        };
+    }
+
+    // Configured places (public fields only)
+    getPlaces() {
+        return this.places.map(({ id, name, maxReviews, language }) => ({ id, name, maxReviews, language }));
+    }
+
+    // Find a place by ID (defaults to the first configured place)
+    getPlace(placeId = null) {
+        if (!placeId) return this.places[0];
+        return this.places.find((place) => place.id === placeId) || null;
+    }
+
+    // Cached reviews are being served past CACHE_DURATION
+    isStale(place) {
+        return !!this.state[place.id].cachedReviews && !this.isCacheValid(place);
+    }
+
+    // Check if cache is still valid
+    isCacheValid(place) {
+        const { lastFetchTime } = this.state[place.id];
+        if (!lastFetchTime) return false;
+        const now = new Date().getTime();
+        return (now - lastFetchTime) < CACHE_DURATION;
+    }
+
+    // Get current date string (YYYY-MM-DD)
+    getCurrentDateString() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    // Get current month string (YYYY-MM)
+    getCurrentMonthString() {
+        return new Date().toISOString().substring(0, 7);
+    }
+
+    // Current quota counters for a place
+    async getCounters(place) {
+        const keys = this.getCounterKeys(place);
+        const storage = this.getStorage();
+        const [daily, monthly] = await Promise.all([storage.get(keys.daily), storage.get(keys.monthly)]);
+
+        return {
+            daily: { date: this.getCurrentDateString(), count: Number(daily) || 0 },
+            monthly: { month: this.getCurrentMonthString(), count: Number(monthly) || 0 }
+        };
+    }
+
+    // Check if we can make API calls
+    async canMakeApiCall(place) {
+        try {
+            const counters = await this.getCounters(place);
+            
+            // Check daily limit
+            if (counters.daily.count >= DAILY_LIMIT) {
+                console.log(`⚠️ Daily API limit reached for ${place.id}: ${counters.daily.count}/${DAILY_LIMIT}`);
+                return false;
+            }
+            
+            // Check monthly limit
+            if (counters.monthly.count >= MONTHLY_LIMIT) {
+                console.log(`⚠️ Monthly API limit reached for ${place.id}: ${counters.monthly.count}/${MONTHLY_LIMIT}`);
+                return false;
+            }
+            
+            return true;
+        } catch (error) {
+            // Without counters we can't enforce the quota, so don't spend it
+            console.error('❌ Error reading API counters:', error);
+            return false;
+        }
+    }
+
+    // Update counters (stored separately from the reviews cache)
+    async updateCounters(place) {
+        try {
+            const keys = this.getCounterKeys(place);
+            const storage = this.getStorage();
+            const daily = await storage.incr(keys.daily, DAILY_COUNTER_TTL);
+            const monthly = await storage.incr(keys.monthly, MONTHLY_COUNTER_TTL);
+            
+            console.log(`📊 API Call Counters (${place.id}) - Daily: ${daily}/${DAILY_LIMIT}, Monthly: ${monthly}/${MONTHLY_LIMIT}`);
+            
+            const counters = {
+                daily: { date: this.getCurrentDateString(), count: daily },
+                monthly: { month: this.getCurrentMonthString(), count: monthly }
+            };
+            this.ledger.checkBudget(place.id, counters);
+
+            return counters;
+        } catch (error) {
+            console.error('❌ Error updating counters:', error);
+            return null;
+        }
+    }
+
+    // Read the cached reviews entry, seeding it from the legacy cache file if needed
+    async readCacheEntry(place) {
+        const storage = this.getStorage();
+        const entry = await storage.get(this.getCacheKey(place));
+        if (entry) return entry;
+
+        try {
+            const legacyData = JSON.parse(await fs.readFile(place.legacyFile, 'utf8'));
+            if (!Array.isArray(legacyData.reviews)) return null;
+
+            const seeded = {
+                timestamp: legacyData.timestamp,
+                placeId: place.id,
+                reviews: legacyData.reviews,
+                count: legacyData.reviews.length,
+                source: legacyData.source || 'apify_google_maps'
+            };
+            await storage.set(this.getCacheKey(place), seeded);
+            console.log(`📥 Imported reviews cache from ${path.basename(place.legacyFile)} (${place.id})`);
+            return seeded;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Load reviews from storage
+    async loadCachedReviews(place) {
+        try {
+            const parsedData = await this.readCacheEntry(place);
+            if (!parsedData) {
+                console.log(`📁 No cached reviews found for ${place.id}, will fetch new data`);
+                return [];
+            }
+            
+            // Keep the stored data in memory with its own fetch time, so validity
+            // (fresh or stale) is judged by when it was fetched, not when it was loaded
+            const reviews = parsedData.reviews || [];
+            if (reviews.length > 0) {
+                this.state[place.id].cachedReviews = reviews;
+                this.state[place.id].provider = parsedData.provider || 'apify';
+                this.state[place.id].lastFetchTime = parsedData.timestamp ? new Date(parsedData.timestamp).getTime() : null;
+                console.log(`✅ Loaded reviews from cache (${place.id}${this.isCacheValid(place) ? '' : ', stale'})`);
+            }
+
+            return reviews;
+        } catch (error) {
+            console.error(`❌ Error loading cached reviews (${place.id}):`, error);
+            return [];
+        }
+    }
+
+    // Save reviews to storage (counters are stored under their own keys and are not touched)
+    async saveCachedReviews(place, reviews, provider = 'apify') {
+        try {
+            await this.getStorage().set(this.getCacheKey(place), {
+                timestamp: new Date().toISOString(),
+                placeId: place.id,
+                reviews: reviews,
+                count: reviews.length,
+                source: provider === 'apify' ? 'apify_google_maps' : provider,
+                provider
+            });
+            console.log(`💾 Reviews saved to cache successfully (${place.id})`);
+        } catch (error) {
+            console.error('❌ Error saving reviews to cache:', error);
+        }
+    }
+
+    // Stable review ID (see reviewProviders/reviewShape.js)
+    createReviewId(review) {
+        return createReviewId(review);
+    }
+
+    // Tag reviews with their branch (older cache files predate the tags and stable IDs)
+    tagReviews(reviews, place) {
+        return reviews.map((review) => ({
+            ...review,
+            id: String(review.id).startsWith('gmr_') ? review.id : this.createReviewId(review),
+            placeId: review.placeId || place.id,
+            branch: review.branch || place.name
+        }));
+    }
+
+    // Fetch a place's reviews from its providers in fallback order: a provider that fails,
+    // is not configured or returns nothing hands over to the next one. Returns the first
+    // non-empty result ([] if the providers that answered had no reviews).
+    async fetchFromProviders(place, trigger = 'cache_miss') {
+        const errors = [];
+        let answered = false;
+        let quotaReached = false;
+
+        for (const name of this.getProviderOrder(place)) {
+            const provider = this.getProvider(name);
+            if (!provider.isConfigured()) {
+                console.log(`⏭️ Review provider ${name} is not configured, skipping (${place.id})`);
+                continue;
+            }
+
+            try {
+                let result;
+                if (name === 'apify') {
+                    // Check if we can make API calls (counter limits)
+                    if (!(await this.canMakeApiCall(place))) {
+                        quotaReached = true;
+                        throw new Error(`API call limits reached for ${place.id}`);
+                    }
+                    result = await this.fetchReviewsFromApify(place, trigger);
+
+                    // Update counters after successful API call
+                    await this.updateCounters(place);
+                } else {
+                    console.log(`🔄 Fetching reviews from ${name} (${place.id})...`);
+                    result = await provider.fetchReviews(place);
+                }
+
+                answered = true;
+                if (result.reviews.length === 0) {
+                    console.warn(`⚠️ No reviews from ${name} (${place.id}), trying the next provider`);
+                    continue;
+                }
+
+                console.log(`✅ Fetched ${result.reviews.length} reviews from ${name} (${place.id})`);
+                await this.saveCachedReviews(place, result.reviews, name);
+
+                // Merge into the review archive; `complete` means every review the place has was returned
+                // The reviews are already fetched and paid for, so an archive error must not discard them
+                try {
+                    await this.archive.merge(place.id, result.reviews, { complete: result.complete });
+                } catch (archiveError) {
+                    console.error(`❌ Error updating review archive (${place.id}):`, archiveError.message);
+                }
+
+                this.state[place.id].provider = name;
+                return result.reviews;
+            } catch (error) {
+                console.error(`❌ Review provider ${name} failed (${place.id}):`, error.message);
+                errors.push(`${name}: ${error.message}`);
+            }
+        }
+
+        if (!answered) {
+            const error = new Error(errors.length > 0
+                ? `All review providers failed (${place.id}): ${errors.join('; ')}`
+                : `No review provider configured for ${place.id}`);
+            // Only the quota stopped us: a skipped run, not a provider failure
+            if (quotaReached && errors.length === 1) {
+                error.outcome = 'skipped_quota';
+            }
+            throw error;
+        }
+
+        console.warn(`⚠️ No reviews found from any provider (${place.id})`);
+        return [];
+    }
+
+    // Run the Apify provider and record the run in the quota ledger
+    // trigger: 'cache_miss', 'admin' or 'scheduled'
+    async fetchReviewsFromApify(place, trigger = 'cache_miss') {
+        const startedAt = new Date();
+
+        try {
+            console.log(`🔄 Fetching reviews from Apify API (${place.id}, ${trigger})...`);
+            const result = await this.getProvider('apify').fetchReviews(place);
+
+            await this.recordRun(place, trigger, startedAt, {
+                runId: result.runId,
+                outcome: result.itemCount > 0 ? 'success' : 'empty',
+                itemCount: result.itemCount
+            });
+
+            return result;
+        } catch (error) {
+            console.error('❌ Apify API error:', error);
+            await this.recordRun(place, trigger, startedAt, {
+                runId: error.runId || null,
+                outcome: 'failed',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // Add a run to the quota ledger and metrics (never fails the fetch itself)
+    async recordRun(place, trigger, startedAt, details) {
+        const durationMs = Date.now() - startedAt.getTime();
+        metrics.recordApifyRun({ placeId: place.id, trigger, outcome: details.outcome, durationMs });
+
+        try {
+            await this.ledger.record({
+                placeId: place.id,
+                trigger,
+                startedAt: startedAt.toISOString(),
+                durationMs,
+                ...details
+            });
+        } catch (error) {
+            console.error('❌ Error recording Apify run:', error);
+        }
+    }
+
+    // Usage report: per-place consumption and remaining budget, plus the month's ledger
+    async getUsageReport(month = this.getCurrentMonthString()) {
+        const places = await Promise.all(this.places.map(async (place) => {
+            const counters = await this.getCounters(place);
+            return {
+                place: place.id,
+                name: place.name,
+                daily: {
+                    ...counters.daily,
+                    limit: DAILY_LIMIT,
+                    remaining: Math.max(DAILY_LIMIT - counters.daily.count, 0)
+                },
+                monthly: {
+                    ...counters.monthly,
+                    limit: MONTHLY_LIMIT,
+                    remaining: Math.max(MONTHLY_LIMIT - counters.monthly.count, 0)
+                },
+                warnings: this.ledger.getBudgetWarnings(place.id, counters)
+            };
+        }));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            limits: { daily: DAILY_LIMIT, monthly: MONTHLY_LIMIT },
+            places,
+            ledger: await this.ledger.summarize(month)
+        };
+    }
+
+    // Main method to get reviews (with caching and counter limits)
+    // With a placeId, returns that branch's reviews; without one, a merged list of all branches
+    // options.history returns every archived review instead of only the latest fetch
+    // options.trigger says what caused a fetch for the quota ledger ('admin', 'scheduled'; default 'cache_miss')
+    async getReviews(forceRefresh = false, placeId = null, options = {}) {
+        const loadPlace = (place) => (options.history
+            ? this.getPlaceHistory(place, forceRefresh, options)
+            : this.getPlaceReviews(place, forceRefresh, options.trigger));
+
+        if (placeId) {
+            const place = this.getPlace(placeId);
+            if (!place) {
+                throw new Error(`Unknown place: ${placeId}`);
+            }
+            return this.tagReviews(await loadPlace(place), place);
+        }
+
+        const results = await Promise.allSettled(this.places.map(loadPlace));
+
+        // One failing branch shouldn't hide the others
+        const fulfilled = results.filter((result) => result.status === 'fulfilled');
+        if (fulfilled.length === 0) {
+            throw results[0].reason;
+        }
+
+        return results.flatMap((result, index) =>
+            result.status === 'fulfilled' ? this.tagReviews(result.value, this.places[index]) : []
+        );
+    }
+
+    // Get the archived review history for one place (refreshing the latest fetch as usual)
+    async getPlaceHistory(place, forceRefresh = false, { includeDeleted = false, trigger } = {}) {
+        const latest = await this.getPlaceReviews(place, forceRefresh, trigger);
+        let archived = await this.archive.getReviews(place.id, { includeDeleted });
+
+        // Seed the archive from the cache file the first time
+        if (archived.length === 0 && latest.length > 0) {
+            await this.archive.merge(place.id, this.tagReviews(latest, place));
+            archived = await this.archive.getReviews(place.id, { includeDeleted });
+        }
+
+        return archived;
+    }
+
+    // Get reviews for one place (stale-while-revalidate)
+    // Fresh cache is returned as is; stale cache is returned right away while a background
+    // refresh runs; without any cached data (or when forced) the caller waits for the refresh
+    async getPlaceReviews(place, forceRefresh = false, trigger = 'cache_miss') {
+        const state = this.state[place.id];
+
+        try {
+            // If cache is valid and not forcing refresh, return cached data
+            if (!forceRefresh && this.isCacheValid(place) && state.cachedReviews) {
+                console.log(`📦 Returning cached reviews (${place.id})`);
+                return state.cachedReviews;
+            }
+
+            // Try to load from storage first (another instance may have refreshed it)
+            const storedReviews = await this.loadCachedReviews(place);
+            if (storedReviews.length > 0 && !forceRefresh) {
+                if (this.isCacheValid(place)) {
+                    console.log(`📁 Returning reviews from storage (${place.id})`);
+                    return storedReviews;
+                }
+
+                console.log(`⏳ Returning stale reviews and revalidating in the background (${place.id})`);
+                this.revalidate(place, trigger);
+                return storedReviews;
+            }
+
+            // No cached data or force refresh requested, fetch from Apify
+            console.log(`🔄 No cached data or force refresh requested, fetching from Apify (${place.id})...`);
+            return await this.refreshPlace(place, { forceRefresh, trigger });
+        } catch (error) {
+            console.error(`❌ Error getting reviews (${place.id}):`, error);
+            
+            // Try to return cached data as fallback
+            if (state.cachedReviews) {
+                console.log('🔄 Returning cached data as fallback');
+                return state.cachedReviews;
+            }
+            
+            // If no cache, try to load from storage
+            try {
+                const fileReviews = await this.loadCachedReviews(place);
+                if (fileReviews.length > 0) {
+                    console.log('📁 Returning stored data as fallback');
+                    return fileReviews;
+                }
+            } catch (fileError) {
+                console.error('❌ Could not load from storage either:', fileError);
+            }
+
+            // Nothing cached and the providers have no reviews for this place
+            if (error.outcome === 'empty') return [];
+
+            throw error;
+        }
+    }
+
+    // Start a background refresh unless one is running or was attempted recently
+    revalidate(place, trigger = 'cache_miss') {
+        const state = this.state[place.id];
+        if (state.refreshing) return;
+        if (state.lastRevalidateAt && Date.now() - state.lastRevalidateAt < REVALIDATE_COOLDOWN) return;
+
+        state.lastRevalidateAt = Date.now();
+        this.refreshPlace(place, { trigger }).catch((error) => {
+            console.error(`❌ Background revalidation failed (${place.id}), keeping stale reviews:`, error.message);
+        });
+    }
+
+    // Refresh a place from Apify, single-flight: concurrent callers in this instance share
+    // one refresh, and the storage lock keeps other instances from starting a second run
+    refreshPlace(place, { forceRefresh = false, trigger = 'cache_miss' } = {}) {
+        const state = this.state[place.id];
+        if (!state.refreshing) {
+            state.refreshing = this.runLockedRefresh(place, forceRefresh, trigger)
+                .finally(() => {
+                    state.refreshing = null;
+                });
+        }
+        return state.refreshing;
+    }
+
+    async runLockedRefresh(place, forceRefresh, trigger) {
+        const state = this.state[place.id];
+        const lockToken = await this.acquireRefreshLock(place);
+        if (!lockToken) {
+            console.log(`🔒 Reviews refresh already running on another instance (${place.id}), waiting for it...`);
+            return this.waitForRefresh(place);
+        }
+
+        try {
+            // Another instance may have finished a refresh while we were getting here
+            if (!forceRefresh) {
+                const entry = await this.getStorage().get(this.getCacheKey(place));
+                if (entry && entry.timestamp && Date.now() - new Date(entry.timestamp).getTime() < CACHE_DURATION) {
+                    state.cachedReviews = entry.reviews;
+                    state.lastFetchTime = new Date(entry.timestamp).getTime();
+                    return entry.reviews;
+                }
+            }
+
+            const freshReviews = await this.fetchFromProviders(place, trigger);
+
+            // An empty result is not a valid cache: keep the previous reviews and their timestamp
+            // so stale-while-revalidate keeps serving them and the next request tries again
+            if (freshReviews.length === 0) {
+                const error = new Error(`No reviews returned by any provider (${place.id}), keeping the previous cache`);
+                error.outcome = 'empty';
+                throw error;
+            }
+
+            state.cachedReviews = freshReviews;
+            state.lastFetchTime = new Date().getTime();
+
+            return freshReviews;
+        } finally {
+            await this.releaseRefreshLock(place, lockToken);
+        }
+    }
+
+    // Take the place's refresh lock; returns the lock token or null if it is held elsewhere
+    async acquireRefreshLock(place) {
+        const token = crypto.randomUUID();
+        const acquired = await this.getStorage().setIfAbsent(this.getLockKey(place), token, REFRESH_LOCK_TTL);
+        return acquired ? token : null;
+    }
+
+    // Release the lock only if we still hold it (it may have expired and been taken over)
+    async releaseRefreshLock(place, token) {
+        try {
+            const storage = this.getStorage();
+            if (await storage.get(this.getLockKey(place)) === token) {
+                await storage.del(this.getLockKey(place));
+            }
+        } catch (error) {
+            console.error(`❌ Error releasing refresh lock (${place.id}):`, error);
+        }
+    }
+
+    // Wait for another instance's refresh to store its result
+    async waitForRefresh(place) {
+        const startedAt = Date.now();
+        const storage = this.getStorage();
+
+        while (Date.now() - startedAt < REFRESH_WAIT) {
+            await new Promise((resolve) => setTimeout(resolve, REFRESH_POLL_INTERVAL));
+
+            const locked = await storage.get(this.getLockKey(place));
+            const entry = await storage.get(this.getCacheKey(place));
+            if (entry && entry.timestamp && (!locked || new Date(entry.timestamp).getTime() >= startedAt)) {
+                this.state[place.id].cachedReviews = entry.reviews;
+                this.state[place.id].lastFetchTime = new Date(entry.timestamp).getTime();
+                return entry.reviews;
+            }
+            if (!locked) break;
+        }
+
+        throw new Error(`Reviews refresh in progress on another instance (${place.id}), no cached data yet`);
+    }
+
+    // Get cache status for one place (defaults to the first configured place)
+    async getCacheStatus(placeId = null) {
+        const place = this.getPlace(placeId);
+        if (!place) return null;
+
+        const state = this.state[place.id];
+        let counterInfo = null;
+        try {
+            counterInfo = await this.getCounters(place);
+        } catch (error) {
+            counterInfo = {
+                daily: { date: this.getCurrentDateString(), count: 0 },
+                monthly: { month: this.getCurrentMonthString(), count: 0 }
+            };
+        }
+
+        return {
+            place: place.id,
+            storage: this.getStorage().name,
+            hasCache: !!state.cachedReviews,
+            isValid: this.isCacheValid(place),
+            stale: this.isStale(place),
+            provider: state.provider,
+            revalidating: !!state.refreshing,
+            lastFetch: state.lastFetchTime,
+            cacheAge: state.lastFetchTime ? new Date().getTime() - state.lastFetchTime : null,
+            maxAge: CACHE_DURATION,
+            counters: counterInfo,
+            limits: {
+                daily: DAILY_LIMIT,
+                monthly: MONTHLY_LIMIT
+            }
+        };
+    }
+
+    // Get cache status for every place, keyed by place ID
+    async getAllCacheStatus() {
+        const statuses = await Promise.all(this.places.map((place) => this.getCacheStatus(place.id)));
+        return Object.fromEntries(statuses.map((status) => [status.place, status]));
+    }
+}
+
+// Export singleton instance
+const apifyService = new ApifyService();
+export default apifyService;
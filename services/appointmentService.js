@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import apifyService from './apifyService.js';
+import StoredDocument from './storedDocument.js';
+import { signToken, verifyToken } from '../utils/signedToken.js';
+import config from '../config/index.js';
+
+// Booking rules (see config/index.js)
+const UTC_OFFSET = config.appointments.utcOffset * 60 * 1000;
+const SLOT_DURATION = config.appointments.slotDuration;
+const CAPACITY = config.appointments.capacity;
+const MIN_NOTICE = config.appointments.minNotice;
+const BOOKING_WINDOW = config.appointments.bookingWindow;
+const WEEKEND_DAYS = config.appointments.weekendDays.map(Number);
+
+// Office hours as [startMinute, endMinute] ranges of the day, e.g. 09:00-13:00 => [540, 780]
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+const OFFICE_HOURS = config.appointments.officeHours.map((range) => range.split('-').map(toMinutes));
+
+const MAX_SLOT_DAYS = 31;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Office-local calendar date ("YYYY-MM-DD") of an instant
+const getLocalDate = (time) => new Date(time + UTC_OFFSET).toISOString().split('T')[0];
+
+// Instant of a local date at a minute of the day
+const getInstant = (date, minuteOfDay) => Date.parse(`${date}T00:00:00.000Z`) - UTC_OFFSET + minuteOfDay * 60 * 1000;
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00.000Z`) + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+const isHoliday = (date) => config.appointments.holidays.some((entry) => {
+    if (/^\d{2}-\d{2}$/.test(entry)) return date.substring(5) === entry;
+    const [from, to = from] = entry.split('..');
+    return date >= from && date <= to;
+});
+
+const isWorkingDay = (date) => !WEEKEND_DAYS.includes(new Date(`${date}T00:00:00.000Z`).getUTCDay()) && !isHoliday(date);
+
+const overlaps = (appointment, start, end) =>
+    Date.parse(appointment.start) < end && Date.parse(appointment.end) > start;
+
+// Appointments are kept in the reviews storage (REVIEWS_STORAGE), falling back to appointments.json until the first save
+class AppointmentService {
+    constructor() {
+        this.document = new StoredDocument(() => apifyService.getStorage(), 'appointments:all', { legacyFile: 'appointments.json' });
+    }
+
+    async loadAppointments() {
+        const data = await this.document.read();
+        return Array.isArray(data.appointments) ? data.appointments : [];
+    }
+
+    // Change the stored appointments; change(appointments) edits the list in place
+    // Changes are serialised (also across instances), so two requests can't both take the last place in a slot
+    updateAppointments(change) {
+        return this.document.update((data) => {
+            data.appointments = Array.isArray(data.appointments) ? data.appointments : [];
+            const result = change(data.appointments);
+            data.count = data.appointments.length;
+            return result;
+        });
+    }
+
+    getActiveAppointments(appointments, excludeId = null) {
+        return appointments.filter((item) => item.status === 'confirmed' && item.id !== excludeId);
+    }
+
+    // Why a slot can't be booked: null if bookable, otherwise
+    // 'invalid_time', 'outside_hours', 'too_soon', 'too_far' or 'unavailable' (already taken)
+    getSlotError(appointments, start, { excludeId = null, now = Date.now() } = {}) {
+        if (!Number.isFinite(start)) return 'invalid_time';
+
+        const date = getLocalDate(start);
+        const minute = (start - getInstant(date, 0)) / (60 * 1000);
+        const slotMinutes = SLOT_DURATION / (60 * 1000);
+        const onSlot = OFFICE_HOURS.some(([from, to]) =>
+            minute >= from && minute + slotMinutes <= to && (minute - from) % slotMinutes === 0);
+
+        if (!isWorkingDay(date) || !onSlot) return 'outside_hours';
+        if (start < now + MIN_NOTICE) return 'too_soon';
+        if (start > now + BOOKING_WINDOW) return 'too_far';
+
+        const taken = this.getActiveAppointments(appointments, excludeId).filter((item) => overlaps(item, start, start + SLOT_DURATION)).length;
+        return taken >= CAPACITY ? 'unavailable' : null;
+    }
+
+    // Bookable slots per working day: [{ date, slots: [{ start, end, time }] }]
+    // from: local date "YYYY-MM-DD" (default today), days: how many days to cover
+    async getSlots({ from, days = 14 } = {}) {
+        const appointments = await this.loadAppointments();
+
+        const now = Date.now();
+        const firstDate = from && DATE_PATTERN.test(from) ? from : getLocalDate(now);
+        const dayCount = Math.min(Math.max(parseInt(days) || 14, 1), MAX_SLOT_DAYS);
+        const slotMinutes = SLOT_DURATION / (60 * 1000);
+        const result = [];
+
+        for (let index = 0; index < dayCount; index++) {
+            const date = addDays(firstDate, index);
+            if (!isWorkingDay(date)) continue;
+
+            const slots = [];
+            for (const [from, to] of OFFICE_HOURS) {
+                for (let minute = from; minute + slotMinutes <= to; minute += slotMinutes) {
+                    const start = getInstant(date, minute);
+                    if (this.getSlotError(appointments, start, { now })) continue;
+
+                    slots.push({
+                        start: new Date(start).toISOString(),
+                        end: new Date(start + SLOT_DURATION).toISOString(),
+                        time: `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`
+                    });
+                }
+            }
+
+            if (slots.length > 0) {
+                result.push({ date, slots });
+            }
+        }
+
+        return result;
+    }
+
+    // Book a slot; returns { appointment } or { error } (see getSlotError)
+    async book(booking) {
+        const result = await this.updateAppointments((appointments) => {
+            const start = Date.parse(booking.start);
+            const error = this.getSlotError(appointments, start);
+            if (error) return { error };
+
+            const now = new Date().toISOString();
+            const appointment = {
+                id: crypto.randomUUID(),
+                createdAt: now,
+                updatedAt: now,
+                status: 'confirmed',
+                start: new Date(start).toISOString(),
+                end: new Date(start + SLOT_DURATION).toISOString(),
+                service: booking.service,
+                name: booking.name,
+                email: booking.email,
+                phone: booking.phone || '',
+                notes: booking.notes || '',
+                language: booking.language || 'ar',
+                // Increases on every reschedule: invites are re-sent with this sequence and older links stop working
+                revision: 0,
+                cancelledAt: null
+            };
+
+            appointments.push(appointment);
+            return { appointment };
+        });
+
+        if (result.appointment) {
+            console.log('📅 Appointment booked:', result.appointment.id, result.appointment.start);
+        }
+        return result;
+    }
+
+    // Appointment in the list for a signed manage link (null if the link is invalid or out of date)
+    findByToken(appointments, token) {
+        const payload = verifyToken(token);
+        if (!payload || payload.action !== 'appointment') return null;
+
+        const appointment = appointments.find((item) => item.id === payload.id);
+        if (!appointment || appointment.revision !== payload.revision) return null;
+
+        return appointment;
+    }
+
+    // Appointment for a signed manage link (null if the link is invalid or out of date)
+    async getByToken(token) {
+        return this.findByToken(await this.loadAppointments(), token);
+    }
+
+    // Cancel from a signed link; returns { appointment, alreadyCancelled } or { error: 'invalid_link' }
+    cancel(token) {
+        return this.updateAppointments((appointments) => {
+            const appointment = this.findByToken(appointments, token);
+            if (!appointment) return { error: 'invalid_link' };
+            if (appointment.status === 'cancelled') return { appointment, alreadyCancelled: true };
+
+            const now = new Date().toISOString();
+            appointment.status = 'cancelled';
+            appointment.cancelledAt = now;
+            appointment.updatedAt = now;
+            console.log('📅 Appointment cancelled:', appointment.id);
+
+            return { appointment, alreadyCancelled: false };
+        });
+    }
+
+    // Move to another slot from a signed link; returns { appointment, previousStart } or { error }
+    reschedule(token, newStart) {
+        return this.updateAppointments((appointments) => {
+            const appointment = this.findByToken(appointments, token);
+            if (!appointment || appointment.status !== 'confirmed') return { error: 'invalid_link' };
+
+            const start = Date.parse(newStart);
+            const error = this.getSlotError(appointments, start, { excludeId: appointment.id });
+            if (error) return { error };
+
+            const previousStart = appointment.start;
+            appointment.start = new Date(start).toISOString();
+            appointment.end = new Date(start + SLOT_DURATION).toISOString();
+            appointment.revision += 1;
+            appointment.updatedAt = new Date().toISOString();
+            console.log('📅 Appointment rescheduled:', appointment.id, appointment.start);
+
+            return { appointment, previousStart };
+        });
+    }
+
+    // Signed manage link token, valid until the appointment starts
+    createManageToken(appointment) {
+        const ttl = Math.max(Date.parse(appointment.start) - Date.now(), 60 * 1000);
+        return signToken({ action: 'appointment', id: appointment.id, revision: appointment.revision }, ttl);
+    }
+
+    // Local date and time of an appointment for emails and pages, e.g. { date: '2025-11-02', time: '09:00' }
+    getLocalTime(appointment) {
+        const local = new Date(Date.parse(appointment.start) + UTC_OFFSET).toISOString();
+        return { date: local.substring(0, 10), time: local.substring(11, 16) };
+    }
+
+    // Office time zone label, e.g. "UTC+3"
+    getTimezoneLabel() {
+        const hours = config.appointments.utcOffset / 60;
+        return `UTC${hours >= 0 ? '+' : ''}${hours}`;
+    }
+}
+
+// Export singleton instance
+const appointmentService = new AppointmentService();
+export default appointmentService;
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import apifyService from './apifyService.js';
+import { detectFileType } from '../utils/fileType.js';
+import { signToken, verifyToken } from '../utils/signedToken.js';
+import config from '../config/index.js';
+
+// Contact-form attachments (see config/index.js for the limits)
+const MAX_FILES = config.uploads.maxFiles;
+const MAX_FILE_SIZE = config.uploads.maxFileSize;
+const MAX_TOTAL_SIZE = config.uploads.maxTotalSize;
+// Budget for files attached to the office email; the rest go out as download links
+const ATTACH_LIMIT = config.uploads.attachLimit;
+const LINK_TTL = config.uploads.linkTtl;
+
+const MAX_FILENAME_LENGTH = 100;
+
+// Filename safe for mail clients and disk: no path, control or reserved characters, and the
+// extension of the detected type (a renamed .exe can't pass as a PDF)
+export const sanitizeFilename = (name, extension) => {
+    const base = String(name || '')
+        .split(/[\\/]/)
+        .pop()
+        .normalize('NFC')
+        .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '')
+        // Bidirectional controls can disguise the real extension ("report\u202Efdp.exe")
+        .replace(/[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g, '')
+        .replace(/\.[^.]*$/, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '')
+        .substring(0, MAX_FILENAME_LENGTH);
+
+    return `${base || 'attachment'}.${extension}`;
+};
+
+class AttachmentService {
+    getLimits() {
+        return { maxFiles: MAX_FILES, maxFileSize: MAX_FILE_SIZE, maxTotalSize: MAX_TOTAL_SIZE };
+    }
+
+    // Check uploaded files ({ filename, content }) against the limits and the type allow-list
+    // Returns { files: [{ filename, mime, size, content }] } or { error, filename? }
+    // error: 'too_many_files', 'empty_file', 'file_too_large', 'total_too_large' or 'type_not_allowed'
+    validate(uploads = []) {
+        if (uploads.length > MAX_FILES) return { error: 'too_many_files' };
+
+        const files = [];
+        let total = 0;
+
+        for (const upload of uploads) {
+            const size = upload.content.length;
+            if (size === 0) return { error: 'empty_file', filename: upload.filename };
+            if (size > MAX_FILE_SIZE) return { error: 'file_too_large', filename: upload.filename };
+
+            total += size;
+            if (total > MAX_TOTAL_SIZE) return { error: 'total_too_large' };
+
+            const type = detectFileType(upload.content, upload.filename);
+            if (!type) return { error: 'type_not_allowed', filename: upload.filename };
+
+            files.push({
+                filename: sanitizeFilename(upload.filename, type.extension),
+                mime: type.mime,
+                size,
+                content: upload.content
+            });
+        }
+
+        return { files };
+    }
+
+    // Decide how each validated file reaches the office: attached to the email while the
+    // attachment budget lasts, otherwise stored with an expiring download link
+    // Returns [{ filename, mime, size, delivery: 'attachment' | 'link', content?, id?, expiresAt? }]
+    async process(files = []) {
+        const result = [];
+        let attached = 0;
+
+        for (const file of files) {
+            if (attached + file.size <= ATTACH_LIMIT) {
+                attached += file.size;
+                result.push({ filename: file.filename, mime: file.mime, size: file.size, delivery: 'attachment', content: file.content });
+            } else {
+                const stored = await this.store(file);
+                result.push({ filename: file.filename, mime: file.mime, size: file.size, delivery: 'link', id: stored.id, expiresAt: stored.expiresAt });
+            }
+        }
+
+        return result;
+    }
+
+    getStorage() {
+        return apifyService.getStorage();
+    }
+
+    getFileKey(id) {
+        return `uploads:file:${id}`;
+    }
+
+    // Store a file for download until the link expires
+    // Kept in the reviews storage (REVIEWS_STORAGE) with the link's expiry, so any instance can serve it
+    async store(file) {
+        const id = crypto.randomUUID();
+        const meta = {
+            id,
+            filename: file.filename,
+            mime: file.mime,
+            size: file.size,
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + LINK_TTL).toISOString()
+        };
+
+        await this.getStorage().set(this.getFileKey(id), { meta, content: file.content.toString('base64') }, LINK_TTL);
+        console.log('📎 Attachment stored for download:', id, file.size);
+
+        return meta;
+    }
+
+    // Signed download token, valid as long as the stored file
+    createDownloadToken(stored) {
+        return signToken({ action: 'download', id: stored.id }, Math.max(Date.parse(stored.expiresAt) - Date.now(), 60 * 1000));
+    }
+
+    // Stored file for a download link: { meta, content } or null if the link is invalid or expired
+    async getDownload(id, token) {
+        const payload = verifyToken(token);
+        if (!payload || payload.action !== 'download' || payload.id !== id || !/^[0-9a-f-]{36}$/.test(id)) return null;
+
+        const stored = await this.getStorage().get(this.getFileKey(id));
+        if (!stored || Date.parse(stored.meta.expiresAt) < Date.now()) return null;
+
+        return { meta: stored.meta, content: Buffer.from(stored.content, 'base64') };
+    }
+}
+
+// Export singleton instance
+const attachmentService = new AttachmentService();
+export default attachmentService;
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import apifyService from './apifyService.js';
+import StoredDocument from './storedDocument.js';
+
+// Oldest entries are dropped beyond this size
+const MAX_ENTRIES = 5000;
+
+// Admin actions, kept in the reviews storage (REVIEWS_STORAGE), falling back to audit-log.json until the first save
+class AuditLog {
+    constructor() {
+        this.document = new StoredDocument(() => apifyService.getStorage(), 'audit:log', { legacyFile: 'audit-log.json' });
+    }
+
+    async loadEntries() {
+        const data = await this.document.read();
+        return Array.isArray(data.entries) ? data.entries : [];
+    }
+
+    // Record an admin action for the authenticated request
+    // Callers should not fail the action itself when this rejects
+    async record(req, action, details = {}) {
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            actor: req.admin ? req.admin.name : 'unknown',
+            authMethod: req.admin ? req.admin.method : null,
+            action,
+            ip: req.ip,
+            details
+        };
+
+        try {
+            await this.document.update((data) => {
+                const entries = Array.isArray(data.entries) ? data.entries : [];
+                entries.push(entry);
+                data.entries = entries.length > MAX_ENTRIES ? entries.slice(-MAX_ENTRIES) : entries;
+            });
+        } catch (error) {
+            console.error(`❌ Error recording audit entry (${action}):`, error);
+            throw error;
+        }
+        console.log(`📝 Audit: ${entry.actor} ${action}`);
+
+        return entry;
+    }
+
+    // List entries, newest first
+    async list({ action, actor, limit = 100 } = {}) {
+        const entries = await this.loadEntries();
+
+        return entries
+            .filter((entry) => (!action || entry.action === action) && (!actor || entry.actor === actor))
+            .slice()
+            .reverse()
+            .slice(0, limit);
+    }
+}
+
+// Export singleton instance
+const auditLog = new AuditLog();
+export default auditLog;
@@ -0,0 +1,58 @@
+import axios from 'axios';
+import config from '../../config/index.js';
+
+// Converts nodemailer-style attachments to JSON-safe objects (base64 content)
+const serializeAttachments = (attachments = []) => {
+    return attachments.map((attachment) => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType || null,
+        content: Buffer.isBuffer(attachment.content)
+            ? attachment.content.toString('base64')
+            : Buffer.from(String(attachment.content || ''), attachment.encoding || 'utf8').toString('base64'),
+        encoding: 'base64'
+    }));
+};
+
+// Sends mail by POSTing JSON to a generic HTTP mail API (EMAIL_API_URL)
+class HttpDriver {
+    constructor() {
+        this.name = 'http';
+    }
+
+    isConfigured() {
+        return !!config.email.apiUrl;
+    }
+
+    // The mail API has no standard check endpoint; only the configuration is verified
+    async verify() {
+        return { url: new URL(config.email.apiUrl).origin };
+    }
+
+    async send(mailOptions) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.email.apiKey) {
+            headers.Authorization = `Bearer ${config.email.apiKey}`;
+        }
+
+        const response = await axios.post(config.email.apiUrl, {
+            from: mailOptions.from,
+            to: mailOptions.to,
+            cc: mailOptions.cc,
+            bcc: mailOptions.bcc,
+            replyTo: mailOptions.replyTo,
+            subject: mailOptions.subject,
+            html: mailOptions.html,
+            text: mailOptions.text,
+            headers: mailOptions.headers,
+            attachments: mailOptions.attachments ? serializeAttachments(mailOptions.attachments) : undefined
+        }, {
+            headers,
+            timeout: config.email.apiTimeout
+        });
+
+        const data = response.data || {};
+        return { messageId: data.messageId || data.id || null };
+    }
+}
+
+export default HttpDriver;
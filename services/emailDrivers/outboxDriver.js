@@ -0,0 +1,47 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../../config/index.js';
+
+// Writes each message as an .eml file to a local directory (development and tests)
+class OutboxDriver {
+    constructor() {
+        this.name = 'outbox';
+        this.transporter = nodemailer.createTransport({
+            streamTransport: true,
+            buffer: true,
+            newline: 'unix'
+        });
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    getOutboxDir() {
+        return config.email.outboxDir;
+    }
+
+    // Check the outbox directory is writable
+    async verify() {
+        const outboxDir = this.getOutboxDir();
+        await fs.mkdir(outboxDir, { recursive: true });
+        await fs.access(outboxDir, fs.constants.W_OK);
+        return { dir: outboxDir };
+    }
+
+    async send(mailOptions) {
+        const info = await this.transporter.sendMail(mailOptions);
+        const outboxDir = this.getOutboxDir();
+        const safeId = String(info.messageId).replace(/[^a-zA-Z0-9.-]/g, '');
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeId}.eml`;
+
+        await fs.mkdir(outboxDir, { recursive: true });
+        await fs.writeFile(path.join(outboxDir, fileName), info.message);
+        console.log('📥 Email written to outbox:', fileName);
+
+        return { messageId: info.messageId, file: fileName };
+    }
+}
+
+export default OutboxDriver;
@@ -0,0 +1,36 @@
+import nodemailer from 'nodemailer';
+import sandboxMailbox from '../sandboxMailbox.js';
+
+// Captures mail instead of sending it (sandbox mode); messages are listed by /api/dev/mailbox
+class SandboxDriver {
+    constructor() {
+        this.name = 'sandbox';
+        // Render the message as nodemailer would send it, so the .eml source can be inspected too
+        this.transporter = nodemailer.createTransport({
+            streamTransport: true,
+            buffer: true,
+            newline: 'unix'
+        });
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async verify() {
+        return { mailbox: 'sandbox' };
+    }
+
+    async send(mailOptions) {
+        const info = await this.transporter.sendMail(mailOptions);
+        const message = await sandboxMailbox.add(mailOptions, {
+            messageId: info.messageId,
+            raw: info.message.toString('utf8')
+        });
+        console.log('🧪 Email captured in sandbox mailbox:', message.id);
+
+        return { messageId: info.messageId, mailboxId: message.id };
+    }
+}
+
+export default SandboxDriver;
@@ -0,0 +1,47 @@
+import nodemailer from 'nodemailer';
+import config from '../../config/index.js';
+
+// Sends mail through an SMTP server using nodemailer
+class SmtpDriver {
+    constructor() {
+        this.name = 'smtp';
+        this.transporter = null;
+    }
+
+    isConfigured() {
+        return !!(config.email.user && config.email.pass && config.email.host);
+    }
+
+    // Create transporter for nodemailer (reused between sends)
+    getTransporter() {
+        if (!this.transporter) {
+            this.transporter = nodemailer.createTransport({
+                host: config.email.host,
+                port: config.email.port,
+                // EMAIL_SECURE, or implicit TLS when the port is 465 (STARTTLS otherwise)
+                secure: config.email.secure,
+                auth: {
+                    user: config.email.user,
+                    pass: config.email.pass
+                },
+                tls: {
+                    rejectUnauthorized: false
+                }
+            });
+        }
+        return this.transporter;
+    }
+
+    // Check the connection and credentials against the SMTP server
+    async verify() {
+        await this.getTransporter().verify();
+        return { host: config.email.host };
+    }
+
+    async send(mailOptions) {
+        const info = await this.getTransporter().sendMail(mailOptions);
+        return { messageId: info.messageId };
+    }
+}
+
+export default SmtpDriver;
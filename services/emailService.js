@@ -0,0 +1,82 @@
+import SmtpDriver from './emailDrivers/smtpDriver.js';
+import HttpDriver from './emailDrivers/httpDriver.js';
+import OutboxDriver from './emailDrivers/outboxDriver.js';
+import SandboxDriver from './emailDrivers/sandboxDriver.js';
+import metrics from './metrics.js';
+import config from '../config/index.js';
+
+// Available transport drivers, selected with EMAIL_DRIVER (default: smtp)
+// Sandbox mode always uses the sandbox driver (see config/index.js)
+const DRIVERS = {
+    smtp: SmtpDriver,
+    http: HttpDriver,
+    outbox: OutboxDriver,
+    sandbox: SandboxDriver
+};
+
+class EmailService {
+    constructor() {
+        this.driver = null;
+    }
+
+    // Create the configured driver on first use
+    getDriver() {
+        if (!this.driver) {
+            const driverName = config.email.driver;
+            const Driver = DRIVERS[driverName];
+
+            if (!Driver) {
+                throw new Error(`Unknown EMAIL_DRIVER "${driverName}" (expected: ${Object.keys(DRIVERS).join(', ')})`);
+            }
+
+            this.driver = new Driver();
+        }
+        return this.driver;
+    }
+
+    getDriverName() {
+        return this.getDriver().name;
+    }
+
+    isConfigured() {
+        try {
+            return this.getDriver().isConfigured();
+        } catch (error) {
+            console.error('❌ Email driver error:', error.message);
+            return false;
+        }
+    }
+
+    // Check the configured driver can deliver (SMTP: connection and login)
+    async verify() {
+        const driver = this.getDriver();
+        if (!driver.isConfigured()) {
+            throw new Error(`Email driver "${driver.name}" is not configured`);
+        }
+        return driver.verify();
+    }
+
+    // Send a message (nodemailer mail options: from, to, subject, html, text, headers, attachments)
+    async send(mailOptions) {
+        const driver = this.getDriver();
+        if (!driver.isConfigured()) {
+            throw new Error(`Email driver "${driver.name}" is not configured`);
+        }
+
+        let result;
+        try {
+            result = await driver.send(mailOptions);
+        } catch (error) {
+            metrics.recordMailSend(driver.name, 'failure');
+            throw error;
+        }
+
+        metrics.recordMailSend(driver.name, 'success');
+        console.log(`📧 Email sent via ${driver.name}:`, mailOptions.subject);
+        return result;
+    }
+}
+
+// Export singleton instance
+const emailService = new EmailService();
+export default emailService;
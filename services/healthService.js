@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import apifyService from './apifyService.js';
+import emailService from './emailService.js';
+import { getSimulation } from './reviewProviders/sandboxApifyClient.js';
+import config from '../config/index.js';
+
+// Each check gives up after this long (a hanging SMTP server must not hang the probe)
+const CHECK_TIMEOUT = config.health.checkTimeout;
+// Readiness results are reused briefly so frequent probes don't open an SMTP connection each time
+const READY_CACHE_TTL = config.health.readyCacheTtl;
+// Warn when less than this share of a quota is left
+const QUOTA_WARN_SHARE = 0.2;
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+};
+
+// Liveness and readiness checks
+// Check status: 'ok', 'warn' (degraded but serving) or 'fail' (not ready)
+class HealthService {
+    constructor() {
+        this.startedAt = Date.now();
+        this.lastReady = null;
+    }
+
+    // Liveness: the process is up and handling requests
+    getLiveness() {
+        return {
+            status: 'ok',
+            uptime: Math.round((Date.now() - this.startedAt) / 1000),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Run one check, timing it; fn returns { status?, ...details } or throws
+    async runCheck(fn) {
+        const startedAt = Date.now();
+        try {
+            const result = await withTimeout(fn(), CHECK_TIMEOUT);
+            return { status: 'ok', ...result, latencyMs: Date.now() - startedAt };
+        } catch (error) {
+            return { status: 'fail', error: error.message, latencyMs: Date.now() - startedAt };
+        }
+    }
+
+    // SMTP verify() (or the selected driver's equivalent)
+    async checkEmail() {
+        const details = await emailService.verify();
+        return { driver: emailService.getDriverName(), ...details };
+    }
+
+    // The Apify token is needed only when a place uses the Apify provider
+    async checkApify() {
+        const usesApify = apifyService.places.some((place) => apifyService.getProviderOrder(place).includes('apify'));
+        if (!usesApify) {
+            return { status: 'ok', used: false };
+        }
+        // Sandbox runs use the simulated Apify client, which needs no token
+        if (config.sandbox.enabled) {
+            return { used: true, simulated: true, mode: getSimulation().mode };
+        }
+        if (!config.apify.token) {
+            throw new Error('APIFY token is not set');
+        }
+        return { used: true, tokenPresent: true };
+    }
+
+    // Write, read back and delete a probe key in the reviews store
+    async checkStorage() {
+        const storage = apifyService.getStorage();
+        const key = `health:probe:${crypto.randomUUID()}`;
+        const value = { at: Date.now() };
+
+        await storage.set(key, value, 60 * 1000);
+        const readBack = await storage.get(key);
+        await storage.del(key);
+
+        if (!readBack || readBack.at !== value.at) {
+            throw new Error('Probe value could not be read back');
+        }
+        return { store: storage.name };
+    }
+
+    // Cache age per place against the cache duration (stale or missing cache degrades, not fails)
+    async checkCache() {
+        // A fresh instance hasn't read the store yet
+        await Promise.all(apifyService.places
+            .filter((place) => !apifyService.state[place.id].cachedReviews)
+            .map((place) => apifyService.loadCachedReviews(place)));
+
+        const statuses = Object.values(await apifyService.getAllCacheStatus());
+        const places = statuses.map((status) => ({
+            place: status.place,
+            hasCache: status.hasCache,
+            cacheAge: status.cacheAge,
+            maxAge: status.maxAge,
+            stale: status.stale,
+            provider: status.provider
+        }));
+
+        const degraded = places.some((place) => !place.hasCache || place.stale);
+        return { status: degraded ? 'warn' : 'ok', places };
+    }
+
+    // Remaining Apify quota per place
+    async checkQuota() {
+        const statuses = Object.values(await apifyService.getAllCacheStatus());
+        const places = statuses.map((status) => ({
+            place: status.place,
+            daily: { remaining: Math.max(status.limits.daily - status.counters.daily.count, 0), limit: status.limits.daily },
+            monthly: { remaining: Math.max(status.limits.monthly - status.counters.monthly.count, 0), limit: status.limits.monthly }
+        }));
+
+        const low = places.some((place) =>
+            place.daily.remaining < place.daily.limit * QUOTA_WARN_SHARE
+            || place.monthly.remaining < place.monthly.limit * QUOTA_WARN_SHARE);
+        return { status: low ? 'warn' : 'ok', places };
+    }
+
+    // Readiness: every dependency check with its status and latency
+    async getReadiness({ fresh = false } = {}) {
+        if (!fresh && this.lastReady && Date.now() - this.lastReady.checkedAt < READY_CACHE_TTL) {
+            return this.lastReady.result;
+        }
+
+        const [email, apify, storage, cache, quota] = await Promise.all([
+            this.runCheck(() => this.checkEmail()),
+            this.runCheck(() => this.checkApify()),
+            this.runCheck(() => this.checkStorage()),
+            this.runCheck(() => this.checkCache()),
+            this.runCheck(() => this.checkQuota())
+        ]);
+        const checks = { email, apify, storage, cache, quota };
+
+        const statuses = Object.values(checks).map((check) => check.status);
+        const result = {
+            status: statuses.includes('fail') ? 'fail' : (statuses.includes('warn') ? 'degraded' : 'ok'),
+            checks,
+            timestamp: new Date().toISOString()
+        };
+
+        this.lastReady = { checkedAt: Date.now(), result };
+        return result;
+    }
+}
+
+// Export singleton instance
+const healthService = new HealthService();
+export default healthService;
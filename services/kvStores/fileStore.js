@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../../utils/jsonFile.js';
+import config from '../../config/index.js';
+
+// Key-value store backed by one JSON file per key (STORAGE_DIR, default ./data)
+// Writes are atomic (temp file + rename); counters are serialised per key within the process
+class FileStore {
+    constructor() {
+        this.name = 'file';
+        this.dir = config.storage.dir;
+        this.locks = new Map();
+        this.dirReady = null;
+    }
+
+    getFilePath(key) {
+        return path.join(this.dir, `${String(key).replace(/[^a-zA-Z0-9._-]/g, '_')}.json`);
+    }
+
+    ensureDir() {
+        if (!this.dirReady) {
+            this.dirReady = fs.mkdir(this.dir, { recursive: true }).catch((error) => {
+                this.dirReady = null;
+                throw error;
+            });
+        }
+        return this.dirReady;
+    }
+
+    // Run fn after any pending operation on the same key
+    withLock(key, fn) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const pending = previous.catch(() => {}).then(fn);
+        this.locks.set(key, pending);
+        return pending;
+    }
+
+    async readEntry(key) {
+        const entry = await readJsonFile(this.getFilePath(key), null);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) return null;
+        return entry;
+    }
+
+    async get(key) {
+        const entry = await this.readEntry(key);
+        return entry ? entry.value : null;
+    }
+
+    async set(key, value, ttlMs = null) {
+        await this.ensureDir();
+        await this.withLock(key, () => writeJsonFile(this.getFilePath(key), {
+            key,
+            value,
+            expiresAt: ttlMs ? Date.now() + ttlMs : null,
+            updatedAt: new Date().toISOString()
+        }));
+    }
+
+    // Increment a counter; the expiry is set when the counter is created
+    async incr(key, ttlMs = null) {
+        await this.ensureDir();
+        return this.withLock(key, async () => {
+            const entry = await this.readEntry(key);
+            const value = entry ? Number(entry.value) + 1 : 1;
+            await writeJsonFile(this.getFilePath(key), {
+                key,
+                value,
+                expiresAt: entry ? entry.expiresAt : (ttlMs ? Date.now() + ttlMs : null),
+                updatedAt: new Date().toISOString()
+            });
+            return value;
+        });
+    }
+
+    // Set a key only if it doesn't exist yet; returns true if it was set
+    // (atomic within the process; instances sharing STORAGE_DIR can still race)
+    async setIfAbsent(key, value, ttlMs = null) {
+        await this.ensureDir();
+        return this.withLock(key, async () => {
+            if (await this.readEntry(key)) return false;
+            await writeJsonFile(this.getFilePath(key), {
+                key,
+                value,
+                expiresAt: ttlMs ? Date.now() + ttlMs : null,
+                updatedAt: new Date().toISOString()
+            });
+            return true;
+        });
+    }
+
+    async del(key) {
+        await this.withLock(key, () => fs.rm(this.getFilePath(key), { force: true }));
+    }
+}
+
+export default FileStore;
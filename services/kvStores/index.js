@@ -0,0 +1,18 @@
+import MemoryStore from './memoryStore.js';
+import FileStore from './fileStore.js';
+import RedisRestStore from './redisRestStore.js';
+
+const STORES = {
+    memory: MemoryStore,
+    file: FileStore,
+    redis: RedisRestStore
+};
+
+// Create a key-value store by name ('memory', 'file' or 'redis')
+export const createKvStore = (name = 'memory') => {
+    const Store = STORES[String(name).toLowerCase()];
+    if (!Store) {
+        throw new Error(`Unknown key-value store "${name}" (expected: ${Object.keys(STORES).join(', ')})`);
+    }
+    return new Store();
+};
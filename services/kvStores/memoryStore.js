@@ -0,0 +1,53 @@
+// In-process key-value store with expiry (per instance; not shared between serverless instances)
+class MemoryStore {
+    constructor() {
+        this.name = 'memory';
+        this.entries = new Map();
+    }
+
+    getEntry(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    async get(key) {
+        const entry = this.getEntry(key);
+        return entry ? entry.value : null;
+    }
+
+    async set(key, value, ttlMs = null) {
+        this.entries.set(key, {
+            value,
+            expiresAt: ttlMs ? Date.now() + ttlMs : null
+        });
+    }
+
+    // Increment a counter; the expiry is set when the counter is created
+    async incr(key, ttlMs = null) {
+        const entry = this.getEntry(key);
+        if (!entry) {
+            await this.set(key, 1, ttlMs);
+            return 1;
+        }
+        entry.value += 1;
+        return entry.value;
+    }
+
+    // Set a key only if it doesn't exist yet; returns true if it was set
+    async setIfAbsent(key, value, ttlMs = null) {
+        if (this.getEntry(key)) return false;
+        await this.set(key, value, ttlMs);
+        return true;
+    }
+
+    async del(key) {
+        this.entries.delete(key);
+    }
+}
+
+export default MemoryStore;
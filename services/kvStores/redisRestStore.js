@@ -0,0 +1,62 @@
+import axios from 'axios';
+import config from '../../config/index.js';
+
+// Shared key-value store over a Redis-compatible REST API (Upstash / Vercel KV)
+// Configured with KV_REST_API_URL and KV_REST_API_TOKEN
+class RedisRestStore {
+    constructor() {
+        this.name = 'redis';
+        this.url = config.storage.kvRestUrl;
+        this.token = config.storage.kvRestToken;
+
+        if (!this.url || !this.token) {
+            throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN are required for the redis store');
+        }
+    }
+
+    // Run a single Redis command, e.g. ['SET', 'key', 'value']
+    async command(args) {
+        const response = await axios.post(this.url, args, {
+            headers: { Authorization: `Bearer ${this.token}` },
+            timeout: 5000
+        });
+
+        if (response.data && response.data.error) {
+            throw new Error(`Redis error: ${response.data.error}`);
+        }
+        return response.data ? response.data.result : null;
+    }
+
+    async get(key) {
+        const result = await this.command(['GET', key]);
+        return result === null || result === undefined ? null : JSON.parse(result);
+    }
+
+    async set(key, value, ttlMs = null) {
+        const args = ['SET', key, JSON.stringify(value)];
+        if (ttlMs) args.push('PX', String(ttlMs));
+        await this.command(args);
+    }
+
+    // Increment a counter; the expiry is set when the counter is created
+    async incr(key, ttlMs = null) {
+        const count = await this.command(['INCR', key]);
+        if (count === 1 && ttlMs) {
+            await this.command(['PEXPIRE', key, String(ttlMs)]);
+        }
+        return count;
+    }
+
+    // Set a key only if it doesn't exist yet (SET NX); returns true if it was set
+    async setIfAbsent(key, value, ttlMs = null) {
+        const args = ['SET', key, JSON.stringify(value), 'NX'];
+        if (ttlMs) args.push('PX', String(ttlMs));
+        return (await this.command(args)) === 'OK';
+    }
+
+    async del(key) {
+        await this.command(['DEL', key]);
+    }
+}
+
+export default RedisRestStore;
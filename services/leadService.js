@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import apifyService from './apifyService.js';
+import StoredDocument from './storedDocument.js';
+import { toCSV } from '../utils/csv.js';
+import { LEAD_STATUSES } from '../constants/leadStatuses.js';
+
+// Human-readable reference given to the customer, e.g. EF-2025-00042 (numbered per year)
+const REFERENCE_PREFIX = 'EF';
+const REFERENCE_PATTERN = /^EF-(\d{4})-(\d{5,})$/;
+
+// Yearly reference counters are kept a little over a year
+const REFERENCE_COUNTER_TTL = 400 * 24 * 60 * 60 * 1000;
+
+// Fields exported to CSV, in column order
+const CSV_FIELDS = [
+    'id',
+    'reference',
+    'createdAt',
+    'name',
+    'email',
+    'phone',
+    'service',
+    'jobTitle',
+    'officeName',
+    'message',
+    'language',
+    'status',
+    'statusUpdatedAt',
+    'deliveryStatus',
+    'deliveryError',
+    'deliveredAt'
+];
+
+// Leads are kept in the reviews storage (REVIEWS_STORAGE), falling back to leads.json until the first save
+class LeadService {
+    constructor() {
+        this.document = new StoredDocument(() => this.getStorage(), 'leads:all', { legacyFile: 'leads.json' });
+    }
+
+    getStorage() {
+        return apifyService.getStorage();
+    }
+
+    async loadLeads() {
+        const data = await this.document.read();
+        return Array.isArray(data.leads) ? data.leads : [];
+    }
+
+    // Change the stored leads; change(leads) edits the list in place
+    updateLeads(change) {
+        return this.document.update(async (data) => {
+            data.leads = Array.isArray(data.leads) ? data.leads : [];
+            const result = await change(data.leads);
+            data.count = data.leads.length;
+            return result;
+        });
+    }
+
+    // Next reference number for the current year, from an atomic counter in the storage
+    // Numbers already used by leads stored before the counter existed are skipped
+    async createReference(leads, date = new Date()) {
+        const year = String(date.getUTCFullYear());
+        const last = leads.reduce((max, lead) => {
+            const match = REFERENCE_PATTERN.exec(lead.reference || '');
+            return match && match[1] === year ? Math.max(max, parseInt(match[2], 10)) : max;
+        }, 0);
+        const next = await this.getStorage().incr(`leads:reference:${year}`, REFERENCE_COUNTER_TTL);
+
+        return `${REFERENCE_PREFIX}-${year}-${String(Math.max(next, last + 1)).padStart(5, '0')}`;
+    }
+
+    // Store a new contact-form submission
+    async createLead(submission) {
+        const now = new Date();
+        const lead = {
+            id: crypto.randomUUID(),
+            reference: null,
+            createdAt: now.toISOString(),
+            name: submission.name || '',
+            email: submission.email || '',
+            phone: submission.phone || '',
+            service: submission.service || '',
+            jobTitle: submission.jobTitle || '',
+            officeName: submission.officeName || '',
+            message: submission.message || '',
+            language: submission.language || 'ar',
+            // File metadata only ({ filename, mime, size, delivery, id?, expiresAt? }); the content isn't kept here
+            attachments: submission.attachments || [],
+            status: 'received',
+            statusUpdatedAt: now.toISOString(),
+            // [{ status, note, changedAt, changedBy }]; note is shown to the customer
+            statusHistory: [{ status: 'received', note: null, changedAt: now.toISOString(), changedBy: null }],
+            deliveryStatus: 'pending',
+            deliveryError: null,
+            deliveredAt: null
+        };
+
+        await this.updateLeads(async (leads) => {
+            lead.reference = await this.createReference(leads, now);
+            leads.push(lead);
+        });
+        console.log('💾 Lead stored:', lead.id);
+
+        return lead;
+    }
+
+    // Record the outcome of the office notification email
+    updateDeliveryStatus(id, status, error = null) {
+        return this.updateLeads((leads) => {
+            const lead = leads.find((item) => item.id === id);
+            if (!lead) return null;
+
+            lead.deliveryStatus = status;
+            lead.deliveryError = error ? String(error) : null;
+            lead.deliveredAt = status === 'sent' ? new Date().toISOString() : lead.deliveredAt;
+
+            return lead;
+        });
+    }
+
+    // Get a single lead by ID
+    async getLead(id) {
+        const leads = await this.loadLeads();
+        return leads.find((item) => item.id === id) || null;
+    }
+
+    // Get a lead by its reference number (case-insensitive)
+    async getLeadByReference(reference) {
+        const normalized = String(reference || '').trim().toUpperCase();
+        if (!normalized) return null;
+        const leads = await this.loadLeads();
+        return leads.find((item) => item.reference === normalized) || null;
+    }
+
+    // Move a lead to another workflow status
+    // Returns { lead, previousStatus } or { error } ('not_found', 'invalid_status' or 'unchanged')
+    async updateStatus(id, status, { note = null, changedBy = null } = {}) {
+        if (!LEAD_STATUSES.includes(status)) return { error: 'invalid_status' };
+
+        const result = await this.updateLeads((leads) => {
+            const lead = leads.find((item) => item.id === id);
+            if (!lead) return { error: 'not_found' };
+
+            // Leads stored before the workflow existed start as received
+            const previousStatus = lead.status || 'received';
+            if (previousStatus === status) return { error: 'unchanged' };
+
+            const changedAt = new Date().toISOString();
+            lead.status = status;
+            lead.statusUpdatedAt = changedAt;
+            lead.statusHistory = [
+                ...(lead.statusHistory || []),
+                { status, note: note ? String(note) : null, changedAt, changedBy }
+            ];
+
+            return { lead, previousStatus };
+        });
+
+        if (result.lead) {
+            console.log('📋 Lead status updated:', result.lead.reference || result.lead.id, result.previousStatus, '->', status);
+        }
+        return result;
+    }
+
+    // List leads, newest first, with search and filters
+    // status filters on email delivery, requestStatus on the workflow status
+    async listLeads({ q, service, status, requestStatus, from, to } = {}) {
+        const leads = await this.loadLeads();
+
+        const search = q ? String(q).trim().toLowerCase() : '';
+        const fromTime = from ? new Date(from).getTime() : null;
+        // A bare date (YYYY-MM-DD) as upper bound includes the whole day
+        const toTime = to
+            ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to).getTime()
+            : null;
+
+        return leads
+            .filter((lead) => {
+                if (service && lead.service !== service) return false;
+                if (status && lead.deliveryStatus !== status) return false;
+                if (requestStatus && (lead.status || 'received') !== requestStatus) return false;
+
+                const createdTime = new Date(lead.createdAt).getTime();
+                if (fromTime !== null && !Number.isNaN(fromTime) && createdTime < fromTime) return false;
+                if (toTime !== null && !Number.isNaN(toTime) && createdTime > toTime) return false;
+
+                if (search) {
+                    const haystack = [lead.reference, lead.name, lead.email, lead.phone, lead.officeName, lead.jobTitle, lead.message]
+                        .join(' ')
+                        .toLowerCase();
+                    if (!haystack.includes(search)) return false;
+                }
+
+                return true;
+            })
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Convert leads to CSV (see utils/csv.js for quoting and formula escaping)
+    toCSV(leads) {
+        return toCSV(leads, CSV_FIELDS);
+    }
+}
+
+// Export singleton instance
+const leadService = new LeadService();
+export default leadService;
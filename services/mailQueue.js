@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import apifyService from './apifyService.js';
+import StoredDocument from './storedDocument.js';
+import emailService from './emailService.js';
+import config from '../config/index.js';
+
+// Retry settings: delay doubles after each failed attempt
+const MAX_ATTEMPTS = config.mailQueue.maxAttempts;
+const BASE_RETRY_DELAY = config.mailQueue.retryDelay;
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+const WORKER_INTERVAL = config.mailQueue.workerInterval;
+const FIRST_ATTEMPT_WAIT = config.mailQueue.firstAttemptWait;
+
+// A job being sent is skipped by other runs until its claim expires
+const CLAIM_TTL = 2 * 60 * 1000;
+
+// Durable outbound mail queue, kept in the reviews storage (REVIEWS_STORAGE) so any instance can deliver it
+// The request that queues a message makes the first attempt; retries are sent by the background worker
+// on a long-running server, or by the cron route (/api/cron/process-mail) on serverless hosts
+// Emits 'sent' (job), 'retry' (job, error) and 'dead' (job, error)
+class MailQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.document = new StoredDocument(() => apifyService.getStorage(), 'mail:queue', { legacyFile: 'mail-queue.json' });
+        this.timer = null;
+    }
+
+    async loadQueue() {
+        const data = await this.document.read();
+        return {
+            queue: Array.isArray(data.queue) ? data.queue : [],
+            deadLetter: Array.isArray(data.deadLetter) ? data.deadLetter : []
+        };
+    }
+
+    // Change the stored queue; change(data) edits data.queue and data.deadLetter
+    updateQueue(change) {
+        return this.document.update((data) => {
+            data.queue = Array.isArray(data.queue) ? data.queue : [];
+            data.deadLetter = Array.isArray(data.deadLetter) ? data.deadLetter : [];
+            return change(data);
+        });
+    }
+
+    // Exponential backoff delay for the given attempt number
+    getRetryDelay(attempts) {
+        return Math.min(BASE_RETRY_DELAY * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+    }
+
+    getClaimExpiry() {
+        return new Date(Date.now() + CLAIM_TTL).toISOString();
+    }
+
+    isDue(job, now) {
+        return new Date(job.nextAttemptAt).getTime() <= now
+            && (!job.claimedUntil || new Date(job.claimedUntil).getTime() <= now);
+    }
+
+    // Persist a message for delivery and return the job
+    // meta is stored with the job and passed back in events (e.g. { type: 'lead', leadId })
+    async enqueue(mailOptions, meta = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            mailOptions,
+            meta,
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            // Claimed from the start: the first attempt is made right here
+            claimedUntil: this.getClaimExpiry(),
+            lastError: null
+        };
+
+        await this.updateQueue((data) => {
+            data.queue.push({ ...job });
+        });
+        console.log('📨 Email queued:', job.id);
+
+        await this.deliver(job);
+        return job;
+    }
+
+    // Make an attempt, waiting up to FIRST_ATTEMPT_WAIT for it
+    // A serverless instance may be frozen once the response is sent, so the caller waits for the
+    // first attempt; a slower attempt carries on, and the job is retried after its claim expires if it never ends
+    async deliver(job) {
+        const attempt = this.attempt(job).catch((error) => {
+            console.error('❌ Mail queue processing error:', error);
+        });
+        if (FIRST_ATTEMPT_WAIT <= 0) return;
+
+        let timer;
+        await Promise.race([
+            attempt,
+            new Promise((resolve) => {
+                timer = setTimeout(resolve, FIRST_ATTEMPT_WAIT);
+            })
+        ]);
+        clearTimeout(timer);
+    }
+
+    // Send a claimed job and store the outcome: removed once sent, otherwise retried later or dead-lettered
+    // Returns true if it was sent
+    async attempt(job) {
+        job.attempts += 1;
+
+        try {
+            await emailService.send(job.mailOptions);
+        } catch (error) {
+            await this.recordFailure(job, error);
+            return false;
+        }
+
+        await this.updateQueue((data) => {
+            data.queue = data.queue.filter((item) => item.id !== job.id);
+        });
+        this.emit('sent', job);
+        return true;
+    }
+
+    async recordFailure(job, error) {
+        job.lastError = error.message;
+        delete job.claimedUntil;
+
+        const dead = job.attempts >= MAX_ATTEMPTS;
+        const delay = this.getRetryDelay(job.attempts);
+        if (dead) {
+            job.failedAt = new Date().toISOString();
+        } else {
+            job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        }
+
+        await this.updateQueue((data) => {
+            data.queue = data.queue.filter((item) => item.id !== job.id);
+            if (dead) {
+                data.deadLetter.push({ ...job });
+            } else {
+                data.queue.push({ ...job });
+            }
+        });
+
+        if (dead) {
+            console.error(`☠️ Email moved to dead-letter after ${job.attempts} attempts:`, job.id, error.message);
+            this.emit('dead', job, error);
+        } else {
+            console.warn(`⚠️ Email send failed (attempt ${job.attempts}/${MAX_ATTEMPTS}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+            this.emit('retry', job, error);
+        }
+    }
+
+    // Attempt delivery of every job that is due
+    // Due jobs are claimed first, so runs on other instances (or overlapping runs here) skip them
+    async processQueue() {
+        const { queue } = await this.loadQueue();
+        if (!queue.some((job) => this.isDue(job, Date.now()))) return { sent: 0, failed: 0 };
+
+        const claimedUntil = this.getClaimExpiry();
+        const dueJobs = await this.updateQueue((data) => {
+            const now = Date.now();
+            const due = data.queue.filter((job) => this.isDue(job, now));
+            for (const job of due) {
+                job.claimedUntil = claimedUntil;
+            }
+            return due.map((job) => ({ ...job }));
+        });
+
+        let sent = 0;
+        let failed = 0;
+        for (const job of dueJobs) {
+            if (await this.attempt(job)) {
+                sent += 1;
+            } else {
+                failed += 1;
+            }
+        }
+
+        return { sent, failed };
+    }
+
+    // Start the background worker
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processQueue().catch((error) => {
+                console.error('❌ Mail queue processing error:', error);
+            });
+        }, WORKER_INTERVAL);
+        this.timer.unref();
+
+        console.log(`📮 Mail queue worker started (every ${WORKER_INTERVAL / 1000}s)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Queue and dead-letter summary
+    async getStatus() {
+        const { queue, deadLetter } = await this.loadQueue();
+        return {
+            pending: queue.length,
+            deadLetter: deadLetter.length,
+            maxAttempts: MAX_ATTEMPTS,
+            nextAttemptAt: queue.reduce((earliest, job) =>
+                (!earliest || job.nextAttemptAt < earliest ? job.nextAttemptAt : earliest), null)
+        };
+    }
+
+    async getDeadLetters() {
+        const { deadLetter } = await this.loadQueue();
+        return [...deadLetter].sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+    }
+
+    // Move a dead-lettered job back to the queue with a fresh attempt count
+    // The job comes back claimed: pass it to deliver() for the first attempt
+    async requeue(id) {
+        const job = await this.updateQueue((data) => {
+            const found = data.deadLetter.find((item) => item.id === id);
+            if (!found) return null;
+
+            data.deadLetter = data.deadLetter.filter((item) => item.id !== id);
+            found.attempts = 0;
+            found.nextAttemptAt = new Date().toISOString();
+            found.requeuedAt = found.nextAttemptAt;
+            found.claimedUntil = this.getClaimExpiry();
+            delete found.failedAt;
+            data.queue.push(found);
+
+            return { ...found };
+        });
+        if (!job) return null;
+
+        console.log('🔁 Email requeued from dead-letter:', id);
+        return job;
+    }
+}
+
+// Export singleton instance
+const mailQueue = new MailQueue();
+export default mailQueue;
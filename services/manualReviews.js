@@ -0,0 +1,96 @@
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+import { parseCSV } from '../utils/csv.js';
+import config from '../config/index.js';
+
+// Curated testimonials uploaded by an admin (JSON or CSV), used by the manual review provider
+// MANUAL_REVIEWS_FILE can point at a file shipped with the deployment
+const MANUAL_REVIEWS_FILE_PATH = path.resolve(config.reviews.manualFile);
+
+const MAX_REVIEWS = 200;
+const MAX_TEXT_LENGTH = 5000;
+
+class ManualReviews {
+    constructor() {
+        this.reviews = null;
+    }
+
+    // Load testimonials from JSON file (once per instance)
+    async loadReviews() {
+        if (this.reviews) return this.reviews;
+
+        const parsedData = await readJsonFile(MANUAL_REVIEWS_FILE_PATH, {});
+        this.reviews = Array.isArray(parsedData.reviews) ? parsedData.reviews : [];
+
+        return this.reviews;
+    }
+
+    // Testimonials for a place (rows without a place apply to every place)
+    async getReviews(placeId = null) {
+        const reviews = await this.loadReviews();
+        return placeId ? reviews.filter((review) => !review.place || review.place === placeId) : reviews;
+    }
+
+    // Parse an upload: a JSON array, { reviews: [...] }, or CSV text with a header row
+    // Columns: name, rating, review, date, title, place, reviewUrl, profileImage
+    parseUpload(body, contentType = '') {
+        if (typeof body === 'string') {
+            return /json/i.test(contentType) ? this.parseUpload(JSON.parse(body)) : parseCSV(body);
+        }
+        if (Array.isArray(body)) return body;
+        if (body && Array.isArray(body.reviews)) return body.reviews;
+        throw new Error('Expected a JSON array of reviews, { "reviews": [...] } or CSV text');
+    }
+
+    // Validate and normalise uploaded rows; returns { reviews, errors }
+    validate(rows) {
+        const reviews = [];
+        const errors = [];
+
+        if (rows.length > MAX_REVIEWS) {
+            return { reviews, errors: [`At most ${MAX_REVIEWS} reviews can be uploaded`] };
+        }
+
+        rows.forEach((row, index) => {
+            const line = `Row ${index + 1}`;
+            const name = String(row.name || '').trim();
+            const text = String(row.review ?? row.text ?? '').trim();
+            const rating = Number(row.rating);
+
+            if (!name) return errors.push(`${line}: "name" is required`);
+            if (!text) return errors.push(`${line}: "review" is required`);
+            if (text.length > MAX_TEXT_LENGTH) return errors.push(`${line}: "review" must be at most ${MAX_TEXT_LENGTH} characters`);
+            if (!Number.isInteger(rating) || rating < 1 || rating > 5) return errors.push(`${line}: "rating" must be an integer from 1 to 5`);
+            if (row.date && Number.isNaN(new Date(row.date).getTime())) return errors.push(`${line}: "date" is not a valid date`);
+
+            reviews.push({
+                name,
+                rating,
+                review: text,
+                date: row.date ? new Date(row.date).toISOString() : null,
+                title: row.title ? String(row.title).trim() : null,
+                place: row.place ? String(row.place).trim() : null,
+                reviewUrl: row.reviewUrl || null,
+                profileImage: row.profileImage || null
+            });
+        });
+
+        return { reviews, errors };
+    }
+
+    // Replace the stored testimonials
+    async replace(reviews, actor) {
+        this.reviews = reviews;
+        await writeJsonFile(MANUAL_REVIEWS_FILE_PATH, {
+            timestamp: new Date().toISOString(),
+            uploadedBy: actor,
+            count: reviews.length,
+            reviews
+        });
+        return reviews;
+    }
+}
+
+// Export singleton instance
+const manualReviews = new ManualReviews();
+export default manualReviews;
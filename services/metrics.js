@@ -0,0 +1,119 @@
+// In-process metrics in Prometheus text format (per instance: on serverless platforms each
+// instance reports its own counts, which Prometheus sums across scrapes as usual)
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const APIFY_BUCKETS = [5, 10, 30, 60, 120, 300];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+// Stable key for a label set
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+class Counter {
+    constructor(name, help) {
+        this.name = name;
+        this.help = help;
+        this.values = new Map();
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(labels);
+        const current = this.values.get(key) || { labels, value: 0 };
+        current.value += value;
+        this.values.set(key, current);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+        for (const { labels, value } of this.values.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Histogram {
+    constructor(name, help, buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.values = new Map();
+    }
+
+    observe(labels = {}, value) {
+        const key = labelKey(labels);
+        const current = this.values.get(key) || { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) current.counts[index] += 1;
+        });
+        current.sum += value;
+        current.count += 1;
+        this.values.set(key, current);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bucket, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Metrics {
+    constructor() {
+        this.startedAt = Date.now();
+        this.httpRequests = new Counter('http_requests_total', 'HTTP requests by method, route and status code');
+        this.httpDuration = new Histogram('http_request_duration_seconds', 'HTTP request latency by method and route');
+        this.mailSends = new Counter('mail_send_total', 'Email send attempts by driver and result');
+        this.apifyRuns = new Counter('apify_runs_total', 'Apify actor runs by place, trigger and outcome');
+        this.apifyDuration = new Histogram('apify_run_duration_seconds', 'Apify actor run duration by place', APIFY_BUCKETS);
+    }
+
+    recordRequest({ method, route, status, durationMs }) {
+        this.httpRequests.inc({ method, route, status });
+        this.httpDuration.observe({ method, route }, durationMs / 1000);
+    }
+
+    // result: 'success' or 'failure'
+    recordMailSend(driver, result) {
+        this.mailSends.inc({ driver, result });
+    }
+
+    recordApifyRun({ placeId, trigger, outcome, durationMs }) {
+        this.apifyRuns.inc({ place: placeId, trigger, outcome });
+        if (durationMs !== null && durationMs !== undefined) {
+            this.apifyDuration.observe({ place: placeId }, durationMs / 1000);
+        }
+    }
+
+    // Prometheus text exposition format (version 0.0.4)
+    render() {
+        const uptime = [
+            '# HELP process_uptime_seconds Time since this instance started',
+            '# TYPE process_uptime_seconds gauge',
+            `process_uptime_seconds ${(Date.now() - this.startedAt) / 1000}`
+        ].join('\n');
+
+        return [
+            this.httpRequests,
+            this.httpDuration,
+            this.mailSends,
+            this.apifyRuns,
+            this.apifyDuration
+        ].map((metric) => metric.render()).concat(uptime).join('\n\n') + '\n';
+    }
+}
+
+// Export singleton instance
+const metrics = new Metrics();
+export default metrics;
@@ -0,0 +1,140 @@
+import apifyService from './apifyService.js';
+import StoredDocument from './storedDocument.js';
+import { signToken, verifyToken } from '../utils/signedToken.js';
+
+// Confirmation links are valid for 7 days; unsubscribe links never expire
+const CONFIRM_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+const normalizeLanguage = (language) => (language === 'en' ? 'en' : 'ar');
+
+// Subscribers are kept in the reviews storage (REVIEWS_STORAGE), falling back to subscribers.json until the first save
+class NewsletterService {
+    constructor() {
+        this.document = new StoredDocument(() => apifyService.getStorage(), 'newsletter:subscribers', { legacyFile: 'subscribers.json' });
+    }
+
+    async loadSubscribers() {
+        const data = await this.document.read();
+        return Array.isArray(data.subscribers) ? data.subscribers : [];
+    }
+
+    // Change the stored subscribers; change(subscribers) edits the list in place
+    updateSubscribers(change) {
+        return this.document.update((data) => {
+            data.subscribers = Array.isArray(data.subscribers) ? data.subscribers : [];
+            const result = change(data.subscribers);
+            data.count = data.subscribers.length;
+            return result;
+        });
+    }
+
+    async findSubscriber(email) {
+        const subscribers = await this.loadSubscribers();
+        const normalized = normalizeEmail(email);
+        return subscribers.find((item) => item.email === normalized) || null;
+    }
+
+    // Register a pending subscription (or refresh an existing one)
+    // Returns { subscriber, alreadyConfirmed }
+    async subscribe(email, language) {
+        const normalized = normalizeEmail(email);
+        const result = await this.updateSubscribers((subscribers) => {
+            const now = new Date().toISOString();
+            let subscriber = subscribers.find((item) => item.email === normalized);
+
+            if (subscriber && subscriber.status === 'confirmed') {
+                return { subscriber, alreadyConfirmed: true };
+            }
+
+            if (!subscriber) {
+                subscriber = {
+                    email: normalized,
+                    language: normalizeLanguage(language),
+                    status: 'pending',
+                    createdAt: now,
+                    updatedAt: now,
+                    confirmedAt: null,
+                    unsubscribedAt: null
+                };
+                subscribers.push(subscriber);
+            } else {
+                // Pending or previously unsubscribed: start the opt-in again
+                subscriber.language = normalizeLanguage(language);
+                subscriber.status = 'pending';
+                subscriber.updatedAt = now;
+            }
+
+            return { subscriber, alreadyConfirmed: false };
+        });
+
+        if (!result.alreadyConfirmed) {
+            console.log('📰 Pending newsletter subscription:', result.subscriber.email);
+        }
+        return result;
+    }
+
+    // Confirm a subscription from a signed confirmation token
+    async confirm(token) {
+        const payload = verifyToken(token);
+        if (!payload || payload.action !== 'confirm') return null;
+
+        return this.updateSubscribers((subscribers) => {
+            const subscriber = subscribers.find((item) => item.email === normalizeEmail(payload.email));
+            if (!subscriber) return null;
+
+            if (subscriber.status !== 'confirmed') {
+                const now = new Date().toISOString();
+                subscriber.status = 'confirmed';
+                subscriber.confirmedAt = now;
+                subscriber.unsubscribedAt = null;
+                subscriber.updatedAt = now;
+                console.log('✅ Newsletter subscription confirmed:', subscriber.email);
+            }
+
+            return subscriber;
+        });
+    }
+
+    // Unsubscribe from a signed unsubscribe token
+    async unsubscribe(token) {
+        const payload = verifyToken(token);
+        if (!payload || payload.action !== 'unsubscribe') return null;
+
+        return this.updateSubscribers((subscribers) => {
+            const subscriber = subscribers.find((item) => item.email === normalizeEmail(payload.email));
+            if (!subscriber) return null;
+
+            if (subscriber.status !== 'unsubscribed') {
+                const now = new Date().toISOString();
+                subscriber.status = 'unsubscribed';
+                subscriber.unsubscribedAt = now;
+                subscriber.updatedAt = now;
+                console.log('👋 Newsletter unsubscribed:', subscriber.email);
+            }
+
+            return subscriber;
+        });
+    }
+
+    // Signed links for a subscriber
+    createConfirmToken(email) {
+        return signToken({ action: 'confirm', email: normalizeEmail(email) }, CONFIRM_TOKEN_TTL);
+    }
+
+    createUnsubscribeToken(email) {
+        return signToken({ action: 'unsubscribe', email: normalizeEmail(email) });
+    }
+
+    // Confirmed subscribers, optionally for one language (for future mailings)
+    async getActiveSubscribers(language = null) {
+        const subscribers = await this.loadSubscribers();
+        return subscribers.filter((item) =>
+            item.status === 'confirmed' && (!language || item.language === language)
+        );
+    }
+}
+
+// Export singleton instance
+const newsletterService = new NewsletterService();
+export default newsletterService;
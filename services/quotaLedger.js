@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+// Apify budgets per place (configurable), with a soft warning once usage passes the threshold
+export const DAILY_LIMIT = config.apify.dailyLimit;
+export const MONTHLY_LIMIT = config.apify.monthlyLimit;
+export const WARN_THRESHOLD = config.apify.warnThreshold;
+
+// Ledger entries are kept for a little over a year
+const LEDGER_TTL = 400 * 24 * 60 * 60 * 1000;
+
+// Record of every Apify actor run, stored per month in the reviews storage
+// Entry: { id, runId, placeId, trigger, outcome, itemCount, durationMs, startedAt, finishedAt, error }
+class QuotaLedger {
+    constructor(getStorage) {
+        this.getStorage = getStorage;
+        this.lock = Promise.resolve();
+    }
+
+    getLedgerKey(month) {
+        return `apify:ledger:${month}`;
+    }
+
+    async getEntries(month) {
+        const entries = await this.getStorage().get(this.getLedgerKey(month));
+        return Array.isArray(entries) ? entries : [];
+    }
+
+    // Append a run to its month's ledger (serialised so concurrent runs don't overwrite each other)
+    record(run) {
+        const entry = {
+            id: crypto.randomUUID(),
+            runId: run.runId || null,
+            placeId: run.placeId,
+            trigger: run.trigger || 'cache_miss',
+            outcome: run.outcome,
+            itemCount: run.itemCount ?? 0,
+            durationMs: run.durationMs ?? null,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt || new Date().toISOString(),
+            error: run.error || null
+        };
+        const month = entry.startedAt.substring(0, 7);
+
+        this.lock = this.lock
+            .catch(() => {})
+            .then(async () => {
+                const entries = await this.getEntries(month);
+                entries.push(entry);
+                await this.getStorage().set(this.getLedgerKey(month), entries, LEDGER_TTL);
+            });
+
+        return this.lock.then(() => entry);
+    }
+
+    // Budget warnings for a place's counters (close to or at the limit)
+    getBudgetWarnings(placeId, counters) {
+        const warnings = [];
+        for (const [period, limit] of [['daily', DAILY_LIMIT], ['monthly', MONTHLY_LIMIT]]) {
+            const count = counters[period].count;
+            if (count >= limit) {
+                warnings.push({ placeId, period, count, limit, level: 'exhausted' });
+            } else if (count >= Math.ceil(limit * WARN_THRESHOLD)) {
+                warnings.push({ placeId, period, count, limit, level: 'warning' });
+            }
+        }
+        return warnings;
+    }
+
+    // Log a soft warning when a counter is close to (or at) its budget
+    checkBudget(placeId, counters) {
+        const warnings = this.getBudgetWarnings(placeId, counters);
+        for (const warning of warnings) {
+            console.warn(`⚠️ Apify ${warning.period} budget ${warning.level} for ${placeId}: ${warning.count}/${warning.limit}`);
+        }
+        return warnings;
+    }
+
+    // Summary of a month's runs
+    async summarize(month) {
+        const entries = await this.getEntries(month);
+        const today = new Date().toISOString().split('T')[0];
+        const completed = entries.filter((entry) => entry.durationMs !== null);
+
+        const countBy = (field) => entries.reduce((totals, entry) => {
+            totals[entry[field]] = (totals[entry[field]] || 0) + 1;
+            return totals;
+        }, {});
+
+        return {
+            month,
+            runs: entries.length,
+            runsToday: entries.filter((entry) => entry.startedAt.startsWith(today)).length,
+            itemsReturned: entries.reduce((total, entry) => total + (entry.itemCount || 0), 0),
+            averageDurationMs: completed.length > 0
+                ? Math.round(completed.reduce((total, entry) => total + entry.durationMs, 0) / completed.length)
+                : null,
+            byOutcome: countBy('outcome'),
+            byTrigger: countBy('trigger'),
+            byPlace: countBy('placeId'),
+            recentRuns: entries.slice(-50).reverse()
+        };
+    }
+}
+
+export default QuotaLedger;
@@ -0,0 +1,105 @@
+import path from 'path';
+import { readJsonFile } from '../utils/jsonFile.js';
+
+// Growing archive of every review ever fetched, per place
+// Each entry keeps firstSeenAt / lastSeenAt, and deletedAt once it disappears upstream
+// Stored in the reviews storage (REVIEWS_STORAGE) so it works on read-only hosts and is shared between instances
+class ReviewArchive {
+    constructor(getStorage) {
+        this.getStorage = getStorage;
+        this.lock = Promise.resolve();
+    }
+
+    getArchiveKey(placeId) {
+        return `reviews:archive:${placeId}`;
+    }
+
+    // Archive file written before the archive moved to the storage layer
+    getLegacyFilePath(placeId) {
+        return path.join(process.cwd(), `review-archive-${placeId}.json`);
+    }
+
+    // Load a place's archive (falls back to the legacy JSON file until the first save)
+    async loadArchive(placeId) {
+        const stored = await this.getStorage().get(this.getArchiveKey(placeId));
+        if (stored) {
+            return Array.isArray(stored.reviews) ? stored.reviews : [];
+        }
+
+        const parsedData = await readJsonFile(this.getLegacyFilePath(placeId), {});
+        return Array.isArray(parsedData.reviews) ? parsedData.reviews : [];
+    }
+
+    async saveArchive(placeId, reviews) {
+        await this.getStorage().set(this.getArchiveKey(placeId), {
+            timestamp: new Date().toISOString(),
+            placeId,
+            count: reviews.length,
+            reviews
+        });
+    }
+
+    // Merge a fresh fetch into the archive
+    // complete: the fetch returned every review the place has (fewer than the cap), so any
+    // archived review missing from it was deleted upstream. A capped fetch only covers the
+    // newest reviews, so older ones missing from it are left as they are.
+    // Merges are serialised so concurrent refreshes don't overwrite each other
+    merge(placeId, fetchedReviews, options = {}) {
+        const pending = this.lock
+            .catch(() => {})
+            .then(() => this.mergeArchive(placeId, fetchedReviews, options));
+        this.lock = pending;
+        return pending;
+    }
+
+    async mergeArchive(placeId, fetchedReviews, { complete = false } = {}) {
+        const archive = await this.loadArchive(placeId);
+        const now = new Date().toISOString();
+        const byId = new Map(archive.map((review) => [review.id, review]));
+        const fetchedIds = new Set();
+        const summary = { added: 0, updated: 0, restored: 0, deleted: 0 };
+
+        for (const review of fetchedReviews) {
+            fetchedIds.add(review.id);
+            const existing = byId.get(review.id);
+
+            if (!existing) {
+                archive.push({ ...review, firstSeenAt: now, lastSeenAt: now, deletedAt: null });
+                summary.added += 1;
+                continue;
+            }
+
+            if (existing.deletedAt) {
+                summary.restored += 1;
+            } else {
+                summary.updated += 1;
+            }
+            Object.assign(existing, review, { lastSeenAt: now, deletedAt: null });
+        }
+
+        if (complete) {
+            for (const review of archive) {
+                if (!fetchedIds.has(review.id) && !review.deletedAt) {
+                    review.deletedAt = now;
+                    summary.deleted += 1;
+                }
+            }
+        }
+
+        await this.saveArchive(placeId, archive);
+        console.log(`🗃️ Review archive merged (${placeId}):`, summary);
+
+        return summary;
+    }
+
+    // Archived reviews, most recently seen first (deleted ones only when asked)
+    async getReviews(placeId, { includeDeleted = false } = {}) {
+        const archive = await this.loadArchive(placeId);
+        return archive
+            .filter((review) => includeDeleted || !review.deletedAt)
+            .slice()
+            .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt) || b.firstSeenAt.localeCompare(a.firstSeenAt));
+    }
+}
+
+export default ReviewArchive;
@@ -0,0 +1,193 @@
+import { escapeHtml } from '../utils/escapeHtml.js';
+import { computeReviewStats } from './reviewStats.js';
+import config from '../config/index.js';
+
+// Alternative output formats for the public reviews (the same moderated data /api/reviews returns):
+// Schema.org JSON-LD, RSS 2.0 and Atom feeds, and an embeddable HTML widget
+const SITE_URL = config.server.siteUrl;
+
+const BUSINESS = {
+    ar: { name: 'بصمة الأرض للاستشارات البيئية', feedTitle: 'آراء عملاء بصمة الأرض', reviewsLabel: 'مراجعة', reply: 'رد المكتب' },
+    en: { name: 'Earth Footprint Environmental Consultations', feedTitle: 'Earth Footprint customer reviews', reviewsLabel: 'reviews', reply: 'Response from the office' }
+};
+
+const MAX_FEED_ITEMS = 50;
+
+// XML escaping is the same as HTML escaping for text and attribute values
+const escapeXml = escapeHtml;
+
+const getReviewDate = (review) => {
+    const value = review.date || review.firstSeenAt;
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Newest first (reviews without a date last)
+const sortByDate = (reviews) => [...reviews].sort((a, b) =>
+    (getReviewDate(b)?.getTime() || 0) - (getReviewDate(a)?.getTime() || 0));
+
+const getStars = (rating) => '★'.repeat(Math.round(rating || 0)) + '☆'.repeat(5 - Math.round(rating || 0));
+
+const getLanguage = (language) => (language === 'en' ? 'en' : 'ar');
+
+// Schema.org LocalBusiness with AggregateRating and Review entries
+// One place gives a single LocalBusiness; several places give a @graph with one per branch
+export const toJsonLd = (reviews, places) => {
+    const buildBusiness = (place, placeReviews) => {
+        const stats = computeReviewStats(placeReviews, { keywordLimit: 0 });
+        const business = {
+            '@type': 'LocalBusiness',
+            '@id': `${SITE_URL}/#${place.id}`,
+            name: place.name,
+            url: SITE_URL,
+            hasMap: place.url
+        };
+
+        if (stats.averageRating !== null) {
+            business.aggregateRating = {
+                '@type': 'AggregateRating',
+                ratingValue: stats.averageRating,
+                reviewCount: stats.total,
+                bestRating: 5,
+                worstRating: 1
+            };
+        }
+
+        business.review = placeReviews.map((review) => ({
+            '@type': 'Review',
+            author: { '@type': 'Person', name: review.name },
+            datePublished: getReviewDate(review) ? getReviewDate(review).toISOString().split('T')[0] : undefined,
+            name: review.title || undefined,
+            reviewBody: review.review || undefined,
+            reviewRating: {
+                '@type': 'Rating',
+                ratingValue: review.rating,
+                bestRating: 5,
+                worstRating: 1
+            }
+        }));
+
+        return business;
+    };
+
+    const businesses = places.map((place) => buildBusiness(place, reviews.filter((review) => review.placeId === place.id)));
+
+    return businesses.length === 1
+        ? { '@context': 'https://schema.org', ...businesses[0] }
+        : { '@context': 'https://schema.org', '@graph': businesses };
+};
+
+// Serialize JSON-LD so it is safe inside a <script type="application/ld+json"> tag: <, > and &
+// are escaped, so review text can't close the tag ("</script>") and inject markup
+export const stringifyJsonLd = (data) => JSON.stringify(data, null, 2)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026');
+
+// Feed item title, e.g. "★★★★★ Name"
+const getItemTitle = (review) => `${getStars(review.rating)} ${review.name}`;
+
+const getItemText = (review) => (review.review || review.title || '').trim();
+
+// RSS 2.0 feed of the newest reviews
+export const toRss = (reviews, { language, selfUrl }) => {
+    const lang = getLanguage(language);
+    const items = sortByDate(reviews).slice(0, MAX_FEED_ITEMS);
+    const lastDate = items.length > 0 && getReviewDate(items[0]) ? getReviewDate(items[0]) : new Date();
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(BUSINESS[lang].feedTitle)}</title>
+    <link>${escapeXml(SITE_URL)}</link>
+    <description>${escapeXml(BUSINESS[lang].name)}</description>
+    <language>${lang}</language>
+    <lastBuildDate>${lastDate.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+${items.map((review) => `    <item>
+      <title>${escapeXml(getItemTitle(review))}</title>
+      <link>${escapeXml(review.reviewUrl || SITE_URL)}</link>
+      <guid isPermaLink="false">${escapeXml(review.id)}</guid>
+      <description>${escapeXml(getItemText(review))}</description>${getReviewDate(review) ? `
+      <pubDate>${getReviewDate(review).toUTCString()}</pubDate>` : ''}${review.branch ? `
+      <category>${escapeXml(review.branch)}</category>` : ''}
+    </item>`).join('\n')}
+  </channel>
+</rss>
+`;
+};
+
+// Atom feed of the newest reviews
+export const toAtom = (reviews, { language, selfUrl, placeId }) => {
+    const lang = getLanguage(language);
+    const items = sortByDate(reviews).slice(0, MAX_FEED_ITEMS);
+    const lastDate = items.length > 0 && getReviewDate(items[0]) ? getReviewDate(items[0]) : new Date();
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${lang}">
+  <id>urn:erthfc:reviews:${escapeXml(placeId || 'all')}</id>
+  <title>${escapeXml(BUSINESS[lang].feedTitle)}</title>
+  <subtitle>${escapeXml(BUSINESS[lang].name)}</subtitle>
+  <updated>${lastDate.toISOString()}</updated>
+  <link href="${escapeXml(SITE_URL)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+${items.map((review) => `  <entry>
+    <id>urn:erthfc:review:${escapeXml(review.id)}</id>
+    <title>${escapeXml(getItemTitle(review))}</title>
+    <author><name>${escapeXml(review.name)}</name></author>
+    <updated>${(getReviewDate(review) || lastDate).toISOString()}</updated>
+    <link href="${escapeXml(review.reviewUrl || SITE_URL)}"/>
+    <content type="text">${escapeXml(getItemText(review))}</content>
+  </entry>`).join('\n')}
+</feed>
+`;
+};
+
+// Embeddable widget: a self-contained HTML fragment (inline styles only) in the page language's
+// direction; each review's text uses dir="auto" so Arabic and English reviews render correctly in either
+export const toWidgetHtml = (reviews, { language, limit = 6 }) => {
+    const lang = getLanguage(language);
+    const dir = lang === 'ar' ? 'rtl' : 'ltr';
+    const stats = computeReviewStats(reviews, { keywordLimit: 0 });
+    const dateFormat = new Intl.DateTimeFormat(lang === 'ar' ? 'ar-SA' : 'en-GB', { year: 'numeric', month: 'long', day: 'numeric' });
+    const shown = reviews.slice(0, limit);
+
+    const renderReview = (review) => {
+        const date = getReviewDate(review);
+        return `
+    <li style="list-style: none; margin: 0 0 12px; padding: 12px; border: 1px solid #e0e0e0; border-radius: 6px; background: #fff;">
+      <div style="display: flex; justify-content: space-between; gap: 8px;">
+        <strong dir="auto">${escapeHtml(review.name)}</strong>
+        <span style="color: #f9a825;" aria-label="${escapeHtml(review.rating)}/5">${getStars(review.rating)}</span>
+      </div>${date ? `
+      <div style="font-size: 12px; color: #777;">${escapeHtml(dateFormat.format(date))}</div>` : ''}${review.review ? `
+      <p dir="auto" style="margin: 8px 0 0;">${escapeHtml(review.review)}</p>` : ''}${review.ownerReply ? `
+      <div dir="${review.ownerReply.language === 'en' ? 'ltr' : 'rtl'}" style="margin-top: 8px; padding: 8px; background: #f1f8e9; border-radius: 4px; font-size: 14px;">
+        <strong>${escapeHtml(BUSINESS[review.ownerReply.language === 'en' ? 'en' : 'ar'].reply)}:</strong> ${escapeHtml(review.ownerReply.text)}
+      </div>` : ''}
+    </li>`;
+    };
+
+    return `<div class="erthfc-reviews" dir="${dir}" lang="${lang}" style="font-family: Tahoma, Arial, sans-serif; color: #333; line-height: 1.6; text-align: ${dir === 'rtl' ? 'right' : 'left'};">
+  <div style="margin-bottom: 12px;">
+    <strong style="color: #2e7d32;">${escapeHtml(BUSINESS[lang].name)}</strong>${stats.averageRating !== null ? `
+    <div><span style="color: #f9a825;">${getStars(stats.averageRating)}</span> ${stats.averageRating} (${stats.total} ${BUSINESS[lang].reviewsLabel})</div>` : ''}
+  </div>
+  <ul style="margin: 0; padding: 0;">${shown.map(renderReview).join('')}
+  </ul>
+  <div style="font-size: 12px;"><a href="${escapeHtml(SITE_URL)}" target="_blank" rel="noopener" style="color: #2e7d32;">erthfc.com</a></div>
+</div>
+`;
+};
+
+// Wrap the widget in a full document for <iframe> embedding
+export const toWidgetPage = (fragment, { language }) => {
+    const lang = getLanguage(language);
+    return `<!DOCTYPE html>
+<html lang="${lang}" dir="${lang === 'ar' ? 'rtl' : 'ltr'}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(BUSINESS[lang].feedTitle)}</title></head>
+<body style="margin: 0; padding: 8px; background: transparent;">
+${fragment}</body>
+</html>
+`;
+};
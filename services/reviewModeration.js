@@ -0,0 +1,179 @@
+import apifyService from './apifyService.js';
+import StoredDocument from './storedDocument.js';
+
+// Review fields an admin may override for display
+const OVERRIDABLE_FIELDS = ['name', 'review', 'title'];
+
+const MAX_REPLY_LENGTH = 2000;
+const MAX_OVERRIDE_LENGTH = 5000;
+
+// Moderation state per review: { [reviewId]: { hidden, hiddenReason, pinned, pinOrder, ownerReply, override, updatedAt, updatedBy } }
+// Kept in the reviews storage (REVIEWS_STORAGE) under its own key so it survives cache refreshes,
+// falling back to review-moderation.json until the first save
+class ReviewModeration {
+    constructor() {
+        this.document = new StoredDocument(() => apifyService.getStorage(), 'reviews:moderation', { legacyFile: 'review-moderation.json' });
+    }
+
+    async loadEntries() {
+        const data = await this.document.read();
+        return data.reviews && typeof data.reviews === 'object' ? data.reviews : {};
+    }
+
+    // Change the stored entries; change(entries) edits them in place
+    updateEntries(change) {
+        return this.document.update((data) => {
+            data.reviews = data.reviews && typeof data.reviews === 'object' ? data.reviews : {};
+            return change(data.reviews);
+        });
+    }
+
+    async getAll() {
+        return this.loadEntries();
+    }
+
+    async get(reviewId) {
+        const entries = await this.loadEntries();
+        return entries[reviewId] || null;
+    }
+
+    // Validate a moderation update; returns an error message or null
+    validateUpdate(changes) {
+        if (!changes || typeof changes !== 'object') return 'Request body must be an object';
+
+        if ('hidden' in changes && typeof changes.hidden !== 'boolean') return '"hidden" must be a boolean';
+        if ('pinned' in changes && typeof changes.pinned !== 'boolean') return '"pinned" must be a boolean';
+        if ('pinOrder' in changes && changes.pinOrder !== null && !Number.isInteger(changes.pinOrder)) {
+            return '"pinOrder" must be an integer';
+        }
+
+        if ('ownerReply' in changes && changes.ownerReply !== null) {
+            const reply = changes.ownerReply;
+            if (!reply || typeof reply.text !== 'string' || !reply.text.trim()) return '"ownerReply.text" is required';
+            if (reply.text.length > MAX_REPLY_LENGTH) return `"ownerReply.text" must be at most ${MAX_REPLY_LENGTH} characters`;
+        }
+
+        if ('override' in changes && changes.override !== null) {
+            if (typeof changes.override !== 'object') return '"override" must be an object';
+            for (const [field, value] of Object.entries(changes.override)) {
+                if (!OVERRIDABLE_FIELDS.includes(field)) return `"override.${field}" cannot be overridden`;
+                if (value !== null && (typeof value !== 'string' || value.length > MAX_OVERRIDE_LENGTH)) {
+                    return `"override.${field}" must be a string of at most ${MAX_OVERRIDE_LENGTH} characters`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Apply a (validated) update to a review's moderation state
+    update(reviewId, changes, actor) {
+        return this.updateEntries((entries) => this.applyChanges(entries, reviewId, changes, actor));
+    }
+
+    applyChanges(entries, reviewId, changes, actor) {
+        const entry = entries[reviewId] || {
+            hidden: false,
+            hiddenReason: null,
+            pinned: false,
+            pinOrder: null,
+            ownerReply: null,
+            override: null
+        };
+
+        if ('hidden' in changes) {
+            entry.hidden = changes.hidden;
+            entry.hiddenReason = changes.hidden ? (changes.hiddenReason || null) : null;
+        }
+        if ('pinned' in changes) {
+            entry.pinned = changes.pinned;
+            if (!changes.pinned) entry.pinOrder = null;
+        }
+        if ('pinOrder' in changes) {
+            entry.pinOrder = changes.pinOrder;
+        }
+        if ('ownerReply' in changes) {
+            entry.ownerReply = changes.ownerReply
+                ? {
+                    text: changes.ownerReply.text.trim(),
+                    language: changes.ownerReply.language === 'en' ? 'en' : 'ar',
+                    repliedAt: new Date().toISOString()
+                }
+                : null;
+        }
+        if ('override' in changes) {
+            const override = changes.override
+                ? Object.fromEntries(Object.entries({ ...entry.override, ...changes.override }).filter(([, value]) => value !== null))
+                : null;
+            entry.override = override && Object.keys(override).length > 0 ? override : null;
+        }
+
+        entry.updatedAt = new Date().toISOString();
+        entry.updatedBy = actor;
+
+        entries[reviewId] = entry;
+        return entry;
+    }
+
+    // Set the featured order: pins the given reviews in that order and unpins the rest (saved once)
+    async setFeaturedOrder(reviewIds, actor) {
+        await this.updateEntries((entries) => {
+            for (const [reviewId, entry] of Object.entries(entries)) {
+                if (entry.pinned && !reviewIds.includes(reviewId)) {
+                    entry.pinned = false;
+                    entry.pinOrder = null;
+                }
+            }
+
+            for (const [index, reviewId] of reviewIds.entries()) {
+                this.applyChanges(entries, reviewId, { pinned: true, pinOrder: index + 1 }, actor);
+            }
+        });
+
+        return reviewIds;
+    }
+
+    // Remove all moderation for a review
+    clear(reviewId) {
+        return this.updateEntries((entries) => {
+            if (!entries[reviewId]) return false;
+
+            delete entries[reviewId];
+            return true;
+        });
+    }
+
+    // Apply moderation to a list of reviews for public display:
+    // hidden reviews are removed, overrides and owner replies applied, pinned reviews first
+    async apply(reviews) {
+        const entries = await this.loadEntries();
+
+        const visible = [];
+        for (const review of reviews) {
+            const entry = entries[review.id];
+            if (!entry) {
+                visible.push({ ...review, ownerReply: null, pinned: false, pinOrder: null });
+                continue;
+            }
+            if (entry.hidden) continue;
+
+            visible.push({
+                ...review,
+                ...(entry.override || {}),
+                ownerReply: entry.ownerReply || null,
+                pinned: !!entry.pinned,
+                pinOrder: entry.pinned ? entry.pinOrder : null
+            });
+        }
+
+        const pinned = visible
+            .filter((review) => review.pinned)
+            .sort((a, b) => (a.pinOrder ?? Infinity) - (b.pinOrder ?? Infinity));
+
+        return [...pinned, ...visible.filter((review) => !review.pinned)];
+    }
+}
+
+// Export singleton instance
+const reviewModeration = new ReviewModeration();
+export default reviewModeration;
@@ -0,0 +1,76 @@
+import { ApifyClient } from 'apify-client';
+import { createReviewId, toReview } from './reviewShape.js';
+import SandboxApifyClient from './sandboxApifyClient.js';
+import config from '../../config/index.js';
+
+// Google Maps reviews scraped by the Apify actor (APIFY token, APIFY_ACTOR_ID)
+// In sandbox mode the actor runs against fixture datasets instead (see sandboxApifyClient.js)
+class ApifyProvider {
+    constructor() {
+        this.name = 'apify';
+        this.client = config.sandbox.enabled
+            ? new SandboxApifyClient()
+            : new ApifyClient({
+                token: config.apify.token
+            });
+    }
+
+    isConfigured() {
+        return config.sandbox.enabled || !!config.apify.token;
+    }
+
+    // Run the actor for a place; returns { reviews, runId, itemCount, complete }
+    async fetchReviews(place) {
+        // Prepare Actor input
+        const input = {
+            "startUrls": [
+                {
+                    "url": place.url
+                }
+            ],
+            "maxReviews": place.maxReviews,
+            "reviewsSort": place.sort,
+            "language": place.language,
+            "reviewsOrigin": "all",
+            "personalData": true
+        };
+
+        // Run the Actor and wait for it to finish
+        const run = await this.client.actor(config.apify.actorId).call(input);
+        console.log('📊 Apify run completed:', run.id);
+
+        // Fetch results from the run's dataset
+        let items;
+        try {
+            ({ items } = await this.client.dataset(run.defaultDatasetId).listItems());
+        } catch (error) {
+            error.runId = run.id;
+            throw error;
+        }
+        console.log('📋 Retrieved items from Apify:', items.length);
+
+        return {
+            reviews: this.transformItems(items, place),
+            runId: run.id,
+            itemCount: items.length,
+            // A fetch below the cap returned every review the place has
+            complete: items.length < place.maxReviews
+        };
+    }
+
+    // Transform Apify data to our format
+    transformItems(items, place) {
+        return items.map((item) => toReview({
+            id: createReviewId(item),
+            name: item.name,
+            rating: item.stars,
+            review: item.text,
+            date: item.publishedAtDate,
+            source: 'Google Maps (Apify)',
+            reviewUrl: item.reviewUrl,
+            title: item.title
+        }, place));
+    }
+}
+
+export default ApifyProvider;
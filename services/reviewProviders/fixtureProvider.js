@@ -0,0 +1,33 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toReview } from './reviewShape.js';
+import config from '../../config/index.js';
+
+// Sample reviews for offline development (REVIEWS_FIXTURE_FILE, default fixtures/reviews.json)
+const DEFAULT_FIXTURE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/reviews.json');
+
+class FixtureProvider {
+    constructor() {
+        this.name = 'fixture';
+        this.file = config.reviews.fixtureFile ? path.resolve(config.reviews.fixtureFile) : DEFAULT_FIXTURE_FILE;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async fetchReviews(place) {
+        const fixture = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        const items = (Array.isArray(fixture) ? fixture : fixture.reviews || [])
+            .filter((item) => !item.place || item.place === place.id);
+
+        return {
+            reviews: items.map((item) => toReview({ ...item, source: 'Fixture' }, place)),
+            itemCount: items.length,
+            complete: false
+        };
+    }
+}
+
+export default FixtureProvider;
@@ -0,0 +1,53 @@
+import axios from 'axios';
+import { createReviewId, toReview } from './reviewShape.js';
+import config from '../../config/index.js';
+
+const PLACES_API_URL = 'https://places.googleapis.com/v1/places';
+
+// Official Google Places API (New), GOOGLE_PLACES_API_KEY
+// Each place needs its Google place ID (`googlePlaceId`); the API returns at most 5 reviews
+class GooglePlacesProvider {
+    constructor() {
+        this.name = 'google_places';
+    }
+
+    isConfigured() {
+        return !!config.googlePlaces.apiKey;
+    }
+
+    async fetchReviews(place) {
+        if (!place.googlePlaceId) {
+            throw new Error(`Place "${place.id}" has no googlePlaceId for the Google Places provider`);
+        }
+
+        const response = await axios.get(`${PLACES_API_URL}/${encodeURIComponent(place.googlePlaceId)}`, {
+            params: { languageCode: place.language },
+            headers: {
+                'X-Goog-Api-Key': config.googlePlaces.apiKey,
+                'X-Goog-FieldMask': 'reviews'
+            },
+            timeout: config.googlePlaces.timeout
+        });
+
+        const items = (response.data && response.data.reviews) || [];
+        console.log('📋 Retrieved items from Google Places:', items.length);
+
+        return {
+            reviews: items.map((item) => toReview({
+                // item.name is the review's resource name (places/<id>/reviews/<id>)
+                id: createReviewId({ reviewId: item.name, name: item.authorAttribution?.displayName, rating: item.rating, review: item.text?.text }),
+                name: item.authorAttribution?.displayName,
+                rating: item.rating,
+                review: item.text?.text || item.originalText?.text,
+                profileImage: item.authorAttribution?.photoUri,
+                date: item.publishTime,
+                source: 'Google Places API',
+                reviewUrl: item.googleMapsUri
+            }, place)),
+            itemCount: items.length,
+            complete: false
+        };
+    }
+}
+
+export default GooglePlacesProvider;
@@ -0,0 +1,22 @@
+import ApifyProvider from './apifyProvider.js';
+import GooglePlacesProvider from './googlePlacesProvider.js';
+import ManualProvider from './manualProvider.js';
+import FixtureProvider from './fixtureProvider.js';
+
+const PROVIDERS = {
+    apify: ApifyProvider,
+    google_places: GooglePlacesProvider,
+    manual: ManualProvider,
+    fixture: FixtureProvider
+};
+
+export const getProviderNames = () => Object.keys(PROVIDERS);
+
+// Create a review provider by name ('apify', 'google_places', 'manual' or 'fixture')
+export const createReviewProvider = (name) => {
+    const Provider = PROVIDERS[String(name).toLowerCase()];
+    if (!Provider) {
+        throw new Error(`Unknown review provider "${name}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return new Provider();
+};
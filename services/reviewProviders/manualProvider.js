@@ -0,0 +1,34 @@
+import manualReviews from '../manualReviews.js';
+import { toReview } from './reviewShape.js';
+
+// Curated testimonials uploaded by an admin (see manualReviews.js)
+class ManualProvider {
+    constructor() {
+        this.name = 'manual';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async fetchReviews(place) {
+        const items = await manualReviews.getReviews(place.id);
+
+        return {
+            reviews: items.map((item) => toReview({
+                name: item.name,
+                rating: item.rating,
+                review: item.review,
+                profileImage: item.profileImage,
+                date: item.date,
+                source: 'Testimonial',
+                reviewUrl: item.reviewUrl,
+                title: item.title || 'رأي عميل'
+            }, place)),
+            itemCount: items.length,
+            complete: false
+        };
+    }
+}
+
+export default ManualProvider;
@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+// Every provider maps its data to this common review shape:
+// { id, name, rating, review, profileImage, date, source, reviewUrl, title, placeId, branch }
+
+// Stable review ID: derived from the review URL (without query string), the provider's
+// review ID, or as a last resort the review content, so it survives reordering upstream
+export const createReviewId = (review) => {
+    const reviewUrl = review.reviewUrl ? String(review.reviewUrl).split('?')[0] : null;
+    const source = reviewUrl
+        || (review.reviewId ? `id:${review.reviewId}` : null)
+        || `content:${review.name}|${review.stars ?? review.rating}|${review.text ?? review.review}`;
+
+    return `gmr_${crypto.createHash('sha1').update(source).digest('hex').substring(0, 16)}`;
+};
+
+// Build a review in the common shape from already-mapped fields
+export const toReview = (fields, place) => ({
+    id: fields.id || createReviewId(fields),
+    name: fields.name || 'مستخدم Google',
+    rating: fields.rating || 5,
+    review: fields.review || '',
+    profileImage: fields.profileImage || null,
+    date: fields.date || null,
+    source: fields.source,
+    reviewUrl: fields.reviewUrl || null,
+    title: fields.title || 'مراجعة Google Maps',
+    placeId: place.id,
+    branch: place.name
+});
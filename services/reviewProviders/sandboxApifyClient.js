@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../../config/index.js';
+
+// Offline stand-in for ApifyClient (sandbox mode): actor runs return a fixture dataset
+// (SANDBOX_APIFY_FIXTURE, default fixtures/apify-dataset.json) instead of scraping Google Maps.
+// Only the calls the Apify provider makes are implemented: actor(id).call(input) and dataset(id).listItems().
+const DEFAULT_DATASET_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/apify-dataset.json');
+
+export const SIMULATION_MODES = ['normal', 'slow', 'fail', 'empty'];
+
+// Current simulation, changeable at runtime through /api/dev/apify
+//   normal  fixture items (up to the actor's maxReviews)
+//   slow    the same after `delay` ms (exercises the refresh lock and stale-while-revalidate)
+//   fail    the actor run fails
+//   empty   the run succeeds with no items
+const simulation = {
+    mode: config.sandbox.apifyMode,
+    delay: config.sandbox.apifyDelay
+};
+
+export const getSimulation = () => ({ ...simulation });
+
+export const setSimulation = ({ mode, delay } = {}) => {
+    if (mode !== undefined) {
+        if (!SIMULATION_MODES.includes(mode)) {
+            throw new Error(`Unknown simulation mode "${mode}" (expected: ${SIMULATION_MODES.join(', ')})`);
+        }
+        simulation.mode = mode;
+    }
+    if (delay !== undefined) {
+        const value = parseInt(delay);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error('Simulation delay must be a non-negative number of milliseconds');
+        }
+        simulation.delay = value;
+    }
+    return getSimulation();
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class SandboxApifyClient {
+    constructor() {
+        this.file = config.sandbox.apifyFixture ? path.resolve(config.sandbox.apifyFixture) : DEFAULT_DATASET_FILE;
+        // Finished runs' datasets by dataset ID
+        this.datasets = new Map();
+    }
+
+    async loadItems() {
+        const fixture = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        return Array.isArray(fixture) ? fixture : fixture.items || [];
+    }
+
+    actor(actorId) {
+        return {
+            call: async (input = {}) => {
+                const { mode, delay } = simulation;
+                console.log(`🧪 Sandbox Apify run (${actorId}, mode: ${mode})`);
+
+                if (mode === 'slow') {
+                    await sleep(delay);
+                }
+                if (mode === 'fail') {
+                    throw new Error('Simulated Apify run failure (sandbox)');
+                }
+
+                const items = mode === 'empty' ? [] : (await this.loadItems()).slice(0, input.maxReviews || undefined);
+                const run = {
+                    id: `sandbox-run-${crypto.randomUUID()}`,
+                    status: 'SUCCEEDED',
+                    defaultDatasetId: `sandbox-dataset-${crypto.randomUUID()}`
+                };
+
+                this.datasets.set(run.defaultDatasetId, items);
+                return run;
+            }
+        };
+    }
+
+    dataset(datasetId) {
+        return {
+            listItems: async () => {
+                const items = this.datasets.get(datasetId);
+                if (!items) {
+                    throw new Error(`Dataset ${datasetId} not found (sandbox)`);
+                }
+                this.datasets.delete(datasetId);
+                return { items, count: items.length };
+            }
+        };
+    }
+}
+
+export default SandboxApifyClient;
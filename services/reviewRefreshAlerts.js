@@ -0,0 +1,36 @@
+import reviewRefreshJob from './reviewRefreshJob.js';
+import emailService from './emailService.js';
+import mailQueue from './mailQueue.js';
+import templateService from './templateService.js';
+import config from '../config/index.js';
+
+// Alert emails still being queued (see flushRefreshAlerts)
+const pending = new Set();
+
+// Email the office when the scheduled review refresh keeps failing or returning nothing
+// Registered once per process, by whichever entry point (server.js or the cron function) imports this first
+reviewRefreshJob.on('alert', (place, placeState) => {
+    const { recipient, reserve, sender } = config.email;
+    if (!emailService.isConfigured() || !recipient) {
+        console.warn('⚠️ Reviews refresh alert not sent, email is not configured:', place.id);
+        return;
+    }
+
+    const queued = mailQueue.enqueue({
+        from: `"بصمة الأرض" <${sender}>`,
+        to: reserve ? `${recipient}, ${reserve}` : recipient,
+        ...templateService.render('reviewRefreshAlert', 'ar', {
+            placeId: place.id,
+            placeName: place.name,
+            ...placeState
+        })
+    }, { type: 'reviews_alert', placeId: place.id })
+        .catch((error) => {
+            console.error('Reviews refresh alert error:', error);
+        })
+        .finally(() => pending.delete(queued));
+    pending.add(queued);
+});
+
+// Wait for the alerts raised by a run to be queued (a serverless function may be frozen once it responds)
+export const flushRefreshAlerts = () => Promise.all(pending);
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import apifyService from './apifyService.js';
+import config from '../config/index.js';
+
+// Scheduled refresh settings
+// A place is refreshed once its cache is older than REVIEWS_REFRESH_INTERVAL, so the cron can run
+// more often than that without spending quota (default a little under a day, for a daily cron)
+const REFRESH_INTERVAL = config.reviews.refreshInterval;
+// In-process worker for hosts without a cron (off unless set, e.g. 3600000 for hourly)
+const WORKER_INTERVAL = config.reviews.refreshWorkerInterval;
+// Alert after this many failed (or empty) runs in a row, at most once per cooldown
+const ALERT_THRESHOLD = config.reviews.alertThreshold;
+const ALERT_COOLDOWN = config.reviews.alertCooldown;
+// Each place waits for a full Apify run, so one call refreshes only a few places and leaves the rest
+// for the next call (the daily cron in vercel.json); cache ages in the storage put them first then
+const BATCH_SIZE = config.reviews.refreshBatchSize;
+// A run still marked as running after this long was cut off (e.g. by the function time limit)
+const RUN_TIMEOUT = config.reviews.refreshLockTtl;
+
+const STATE_KEY = 'reviews:refresh:state';
+const HISTORY_KEY = 'reviews:refresh:history';
+const MAX_HISTORY = 100;
+
+// Scheduled review refresh (cron route or in-process worker)
+// Emits 'alert' (place, placeState) when a place keeps failing or returning no reviews
+class ReviewRefreshJob extends EventEmitter {
+    constructor() {
+        super();
+        this.running = null;
+        this.timer = null;
+    }
+
+    getStorage() {
+        return apifyService.getStorage();
+    }
+
+    // Per-place run state: { [placeId]: { lastRunAt, lastOutcome, lastSuccessAt, consecutiveFailures, consecutiveEmpty, alertedAt } }
+    async getState() {
+        return (await this.getStorage().get(STATE_KEY)) || {};
+    }
+
+    async getHistory(limit = 20) {
+        const history = (await this.getStorage().get(HISTORY_KEY)) || [];
+        return history.slice(0, limit);
+    }
+
+    // Refresh every place that is due; overlapping calls share one run
+    run(options = {}) {
+        if (!this.running) {
+            this.running = this.runOnce(options).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async runOnce({ force = false, trigger = 'scheduled', limit = BATCH_SIZE } = {}) {
+        const startedAt = new Date();
+        const state = await this.getState();
+        const results = [];
+        const due = [];
+
+        for (const place of apifyService.places) {
+            const placeState = this.getPlaceState(state, place);
+            this.checkInterrupted(place, placeState);
+
+            const status = await apifyService.getCacheStatus(place.id);
+            if (!force && status.cacheAge !== null && status.cacheAge < REFRESH_INTERVAL) {
+                results.push({ place: place.id, outcome: 'skipped_fresh', count: null, error: null });
+            } else {
+                due.push({ place, cacheAge: status.cacheAge ?? Number.MAX_SAFE_INTEGER });
+            }
+        }
+
+        // Never fetched or oldest cache first; the rest wait for the next run
+        due.sort((a, b) => b.cacheAge - a.cacheAge);
+        let refreshed = 0;
+        for (const { place } of due) {
+            if (refreshed >= limit) {
+                results.push({ place: place.id, outcome: 'deferred', count: null, error: null });
+                continue;
+            }
+
+            const result = await this.refreshPlace(place, state, { trigger });
+            // A quota skip returns straight away, so it doesn't use up the batch
+            if (result.outcome !== 'skipped_quota') refreshed += 1;
+            results.push(result);
+        }
+
+        const run = {
+            id: crypto.randomUUID(),
+            trigger,
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            durationMs: Date.now() - startedAt.getTime(),
+            results
+        };
+
+        const storage = this.getStorage();
+        const history = (await storage.get(HISTORY_KEY)) || [];
+        await storage.set(STATE_KEY, state);
+        await storage.set(HISTORY_KEY, [run, ...history].slice(0, MAX_HISTORY));
+
+        console.log('⏰ Scheduled review refresh finished:', results.map((result) => `${result.place}=${result.outcome}`).join(', '));
+        return run;
+    }
+
+    getPlaceState(state, place) {
+        if (!state[place.id]) {
+            state[place.id] = {
+                lastRunAt: null,
+                lastOutcome: null,
+                lastSuccessAt: null,
+                consecutiveFailures: 0,
+                consecutiveEmpty: 0,
+                alertedAt: null
+            };
+        }
+        return state[place.id];
+    }
+
+    // A run that never recorded its outcome was killed mid-way: count it as a failure
+    checkInterrupted(place, placeState) {
+        if (placeState.lastOutcome !== 'running') return;
+        if (Date.now() - new Date(placeState.lastRunAt).getTime() < RUN_TIMEOUT) return;
+
+        console.warn(`⚠️ Previous scheduled refresh of ${place.id} did not finish`);
+        placeState.lastOutcome = 'interrupted';
+        placeState.consecutiveFailures += 1;
+        this.checkAlert(place, placeState, { error: 'Refresh was interrupted before it finished' });
+    }
+
+    // Refresh one place and update its run state
+    // outcome: 'success', 'empty', 'failed', 'skipped_quota' (runOnce adds 'skipped_fresh', 'deferred')
+    async refreshPlace(place, state, { trigger }) {
+        const placeState = this.getPlaceState(state, place);
+        const result = { place: place.id, outcome: null, count: null, error: null };
+
+        if (!(await apifyService.hasAvailableProvider(place))) {
+            result.outcome = 'skipped_quota';
+            return result;
+        }
+
+        // Record the start first, so a run cut off by the function time limit is noticed next time
+        placeState.lastRunAt = new Date().toISOString();
+        placeState.lastOutcome = 'running';
+        await this.getStorage().set(STATE_KEY, state);
+
+        try {
+            const reviews = await apifyService.refreshPlace(place, { forceRefresh: true, trigger });
+            result.count = reviews.length;
+            result.outcome = 'success';
+        } catch (error) {
+            if (error.outcome === 'empty' || error.outcome === 'skipped_quota') {
+                console.warn(`⚠️ Scheduled refresh of ${place.id}: ${error.message}`);
+                result.outcome = error.outcome;
+                result.count = error.outcome === 'empty' ? 0 : null;
+            } else {
+                console.error(`❌ Scheduled refresh failed (${place.id}):`, error.message);
+                result.outcome = 'failed';
+                result.error = error.message;
+            }
+        }
+
+        placeState.lastRunAt = new Date().toISOString();
+        placeState.lastOutcome = result.outcome;
+
+        if (result.outcome === 'success') {
+            placeState.lastSuccessAt = placeState.lastRunAt;
+            placeState.consecutiveFailures = 0;
+            placeState.consecutiveEmpty = 0;
+            placeState.alertedAt = null;
+        } else if (result.outcome === 'empty') {
+            placeState.consecutiveEmpty += 1;
+        } else if (result.outcome === 'failed') {
+            placeState.consecutiveFailures += 1;
+        }
+        // A quota skip is expected near the limit and says nothing about the provider
+
+        this.checkAlert(place, placeState, result);
+        return result;
+    }
+
+    // Emit an alert once a place has failed (or come back empty) too many times in a row
+    checkAlert(place, placeState, result) {
+        if (placeState.consecutiveFailures < ALERT_THRESHOLD && placeState.consecutiveEmpty < ALERT_THRESHOLD) return;
+        if (placeState.alertedAt && Date.now() - new Date(placeState.alertedAt).getTime() < ALERT_COOLDOWN) return;
+
+        placeState.alertedAt = new Date().toISOString();
+        console.warn(`🚨 Reviews refresh alert (${place.id}): ${placeState.consecutiveFailures} failures, ${placeState.consecutiveEmpty} empty runs in a row`);
+        this.emit('alert', place, { ...placeState, lastError: result.error });
+    }
+
+    // Start the in-process worker (only when REVIEWS_REFRESH_WORKER_INTERVAL is set)
+    start() {
+        if (this.timer || !WORKER_INTERVAL) return;
+
+        this.timer = setInterval(() => {
+            this.run().catch((error) => {
+                console.error('❌ Scheduled review refresh error:', error);
+            });
+        }, WORKER_INTERVAL);
+        this.timer.unref();
+
+        console.log(`⏰ Review refresh worker started (every ${WORKER_INTERVAL / 1000}s)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Export singleton instance
+const reviewRefreshJob = new ReviewRefreshJob();
+export default reviewRefreshJob;
@@ -0,0 +1,122 @@
+import { arabicStopwords, englishStopwords } from '../constants/stopwords.js';
+
+const ARABIC_LETTER = /\p{Script=Arabic}/u;
+
+// Normalise Arabic spelling variants so the same word is counted once
+const normalizeArabic = (word) => word
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // diacritics and tatweel
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ى/g, 'ي');
+
+// Strip the definite article and attached conjunctions/prepositions (light stemming)
+const stripArabicPrefix = (word) => {
+    const match = word.match(/^(?:وال|بال|كال|فال|لل|ال)(.{3,})$/);
+    return match ? match[1] : word;
+};
+
+const normalizedArabicStopwords = new Set([...arabicStopwords].map(normalizeArabic));
+
+// Split review text into Arabic and English keyword candidates
+export const extractKeywords = (text) => {
+    const arabic = [];
+    const english = [];
+    const words = String(text || '').match(/[\p{L}\p{M}]+/gu) || [];
+
+    for (const rawWord of words) {
+        if (ARABIC_LETTER.test(rawWord)) {
+            const normalized = normalizeArabic(rawWord);
+            if (normalizedArabicStopwords.has(normalized)) continue;
+            const word = stripArabicPrefix(normalized);
+            if (word.length < 3 || normalizedArabicStopwords.has(word)) continue;
+            arabic.push(word);
+        } else {
+            const word = rawWord.toLowerCase();
+            if (word.length < 3 || englishStopwords.has(word)) continue;
+            english.push(word);
+        }
+    }
+
+    return { arabic, english };
+};
+
+// Most frequent words as [{ word, count }]
+const topWords = (words, limit) => {
+    const counts = new Map();
+    for (const word of words) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([word, count]) => ({ word, count }));
+};
+
+const round = (value, digits = 2) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+// Month (YYYY-MM) a review belongs to (publish date, else when the archive first saw it)
+const getReviewMonth = (review) => {
+    const value = review.date || review.firstSeenAt;
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return null;
+    return date.toISOString().substring(0, 7);
+};
+
+// Monthly count and average rating, oldest first (null when no review is dated)
+const monthlyTrends = (reviews) => {
+    const months = new Map();
+    for (const review of reviews) {
+        const month = getReviewMonth(review);
+        if (!month) continue;
+        const entry = months.get(month) || { month, count: 0, ratingTotal: 0 };
+        entry.count += 1;
+        entry.ratingTotal += review.rating || 0;
+        months.set(month, entry);
+    }
+
+    if (months.size === 0) return null;
+
+    return [...months.values()]
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(({ month, count, ratingTotal }) => ({ month, count, averageRating: round(ratingTotal / count) }));
+};
+
+// Statistics for a list of reviews (as returned by ApifyService.getReviews)
+export const computeReviewStats = (reviews, { keywordLimit = 10 } = {}) => {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    const arabicWords = [];
+    const englishWords = [];
+    let ratingTotal = 0;
+    let ratedCount = 0;
+    let withText = 0;
+
+    for (const review of reviews) {
+        const rating = Math.round(Number(review.rating));
+        if (rating >= 1 && rating <= 5) {
+            distribution[rating] += 1;
+            ratingTotal += rating;
+            ratedCount += 1;
+        }
+
+        if (review.review && review.review.trim()) {
+            withText += 1;
+            const { arabic, english } = extractKeywords(review.review);
+            arabicWords.push(...arabic);
+            englishWords.push(...english);
+        }
+    }
+
+    return {
+        total: reviews.length,
+        averageRating: ratedCount > 0 ? round(ratingTotal / ratedCount) : null,
+        distribution,
+        withText: {
+            count: withText,
+            share: reviews.length > 0 ? round(withText / reviews.length, 4) : 0
+        },
+        keywords: {
+            ar: topWords(arabicWords, keywordLimit),
+            en: topWords(englishWords, keywordLimit)
+        },
+        trends: monthlyTrends(reviews)
+    };
+};
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+import config from '../config/index.js';
+
+// Captured outgoing mail in sandbox mode, listed by /api/dev/mailbox
+// SANDBOX_MAILBOX: 'memory' (default, lost on restart) or 'file' (SANDBOX_MAILBOX_FILE)
+const MAILBOX_STORE = config.sandbox.mailbox;
+const MAILBOX_FILE_PATH = config.sandbox.mailboxFile;
+
+// Oldest messages are dropped beyond this size
+const MAX_MESSAGES = config.sandbox.mailboxLimit;
+
+// Queued mail carries file attachments as base64 strings ({ content, encoding: 'base64' })
+const toBuffer = (content, encoding = 'utf8') => (Buffer.isBuffer(content) ? content : Buffer.from(String(content || ''), encoding));
+
+class SandboxMailbox {
+    constructor() {
+        this.messages = null;
+    }
+
+    async loadMessages() {
+        if (this.messages) return this.messages;
+
+        if (MAILBOX_STORE === 'file') {
+            const parsedData = await readJsonFile(MAILBOX_FILE_PATH, {});
+            this.messages = Array.isArray(parsedData.messages) ? parsedData.messages : [];
+        } else {
+            this.messages = [];
+        }
+        return this.messages;
+    }
+
+    async saveMessages() {
+        if (MAILBOX_STORE !== 'file') return;
+        await writeJsonFile(MAILBOX_FILE_PATH, {
+            timestamp: new Date().toISOString(),
+            messages: this.messages
+        });
+    }
+
+    // Capture a message (nodemailer mail options plus the rendered .eml source)
+    async add(mailOptions, { messageId, raw }) {
+        await this.loadMessages();
+
+        const message = {
+            id: crypto.randomUUID(),
+            messageId,
+            date: new Date().toISOString(),
+            from: mailOptions.from || null,
+            to: mailOptions.to || null,
+            cc: mailOptions.cc || null,
+            bcc: mailOptions.bcc || null,
+            replyTo: mailOptions.replyTo || null,
+            subject: mailOptions.subject || '',
+            text: mailOptions.text || null,
+            html: mailOptions.html || null,
+            headers: mailOptions.headers || {},
+            attachments: (mailOptions.attachments || []).map((attachment) => ({
+                filename: attachment.filename || null,
+                contentType: attachment.contentType || null,
+                size: toBuffer(attachment.content, attachment.encoding).length,
+                content: toBuffer(attachment.content, attachment.encoding).toString('base64')
+            })),
+            raw
+        };
+
+        this.messages.push(message);
+        if (this.messages.length > MAX_MESSAGES) {
+            this.messages = this.messages.slice(-MAX_MESSAGES);
+        }
+        await this.saveMessages();
+
+        return message;
+    }
+
+    // Message summaries, newest first; `to` filters on a recipient address
+    async list({ to, limit = 50 } = {}) {
+        await this.loadMessages();
+
+        const needle = to ? String(to).toLowerCase() : null;
+        return this.messages
+            .filter((message) => !needle || [message.to, message.cc, message.bcc]
+                .some((field) => field && String(field).toLowerCase().includes(needle)))
+            .slice()
+            .reverse()
+            .slice(0, limit)
+            .map((message) => ({
+                id: message.id,
+                date: message.date,
+                from: message.from,
+                to: message.to,
+                cc: message.cc,
+                subject: message.subject,
+                attachments: message.attachments.map((attachment) => attachment.filename)
+            }));
+    }
+
+    async get(id) {
+        await this.loadMessages();
+        return this.messages.find((message) => message.id === id) || null;
+    }
+
+    async clear() {
+        await this.loadMessages();
+        const count = this.messages.length;
+        this.messages = [];
+        await this.saveMessages();
+        return count;
+    }
+}
+
+// Export singleton instance
+const sandboxMailbox = new SandboxMailbox();
+export default sandboxMailbox;
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { createKvStore } from './kvStores/index.js';
+import { signToken, verifyToken } from '../utils/signedToken.js';
+import config from '../config/index.js';
+
+// Anti-spam settings (see config/index.js)
+const SPAM_STORE = config.spam.store;
+const IP_LIMIT = config.spam.ipLimit;
+const IP_WINDOW = config.spam.ipWindow;
+const EMAIL_LIMIT = config.spam.emailLimit;
+const EMAIL_WINDOW = config.spam.emailWindow;
+const DUPLICATE_WINDOW = config.spam.duplicateWindow;
+const MIN_SUBMIT_TIME = config.spam.minSubmitTime;
+const FORM_TOKEN_TTL = config.spam.formTokenTtl;
+const REQUIRE_FORM_TOKEN = config.spam.requireFormToken;
+const HONEYPOT_FIELD = config.spam.honeypotField;
+const LOOKUP_LIMIT = config.spam.lookupLimit;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').substring(0, 32);
+
+class SpamGuard {
+    constructor() {
+        this.store = null;
+    }
+
+    // Create the configured store on first use
+    getStore() {
+        if (!this.store) {
+            this.store = createKvStore(SPAM_STORE);
+        }
+        return this.store;
+    }
+
+    // Allow swapping the store (e.g. a shared store across serverless instances)
+    setStore(store) {
+        this.store = store;
+    }
+
+    getHoneypotField() {
+        return HONEYPOT_FIELD;
+    }
+
+    // Signed token the frontend fetches when the form is rendered
+    // The nonce makes each token single-use (see claimFormToken)
+    createFormToken(form) {
+        return signToken({ form, issuedAt: Date.now(), nonce: crypto.randomUUID() }, FORM_TOKEN_TTL);
+    }
+
+    getNonceKey(nonce) {
+        return `spam:token:${hash(String(nonce))}`;
+    }
+
+    // Mark a token's nonce as used; false if it was used before
+    async claimFormToken(payload) {
+        return this.getStore().setIfAbsent(this.getNonceKey(payload.nonce), 1, FORM_TOKEN_TTL);
+    }
+
+    // Let a token be used again after its submission was rejected further on (e.g. a validation error),
+    // so the visitor can correct the form and resend it
+    async releaseFormToken(body) {
+        const payload = verifyToken(body.formToken);
+        if (payload && payload.nonce) {
+            await this.getStore().del(this.getNonceKey(payload.nonce));
+        }
+    }
+
+    // Per-IP rate limit; returns null if allowed or { reason, status, retryAfter } if rejected
+    async checkIpLimit(form, ip) {
+        const ipCount = await this.getStore().incr(`spam:${form}:ip:${hash(ip || 'unknown')}`, IP_WINDOW);
+        if (ipCount > IP_LIMIT) {
+            return { reason: 'ip_rate_limit', status: 429, retryAfter: Math.ceil(IP_WINDOW / 1000) };
+        }
+        return null;
+    }
+
+    // Check a submission; returns null if allowed or { reason, status } if rejected
+    // ipChecked: the IP limit already ran before the body was read (see spamProtection.rateLimit)
+    async check(form, { ip, body, ipChecked = false }) {
+        const store = this.getStore();
+
+        // Honeypot: a hidden field real visitors never fill in
+        if (body[HONEYPOT_FIELD]) {
+            return { reason: 'honeypot', status: 200 };
+        }
+
+        // Signed form token with a minimum time-to-submit
+        // A submission without a token skips these checks unless SPAM_REQUIRE_FORM_TOKEN=true
+        const formToken = body.formToken;
+        let tokenPayload = null;
+        if (formToken || REQUIRE_FORM_TOKEN) {
+            tokenPayload = verifyToken(formToken);
+            if (!tokenPayload || tokenPayload.form !== form || !tokenPayload.nonce) {
+                return { reason: 'invalid_form_token', status: 400 };
+            }
+            if (Date.now() - tokenPayload.issuedAt < MIN_SUBMIT_TIME) {
+                return { reason: 'submitted_too_fast', status: 400 };
+            }
+        }
+
+        // Per-IP rate limit
+        if (!ipChecked) {
+            const ipRejection = await this.checkIpLimit(form, ip);
+            if (ipRejection) return ipRejection;
+        }
+
+        // Per-email rate limit
+        const email = String(body.email || '').trim().toLowerCase();
+        if (email) {
+            const emailCount = await store.incr(`spam:${form}:email:${hash(email)}`, EMAIL_WINDOW);
+            if (emailCount > EMAIL_LIMIT) {
+                return { reason: 'email_rate_limit', status: 429, retryAfter: Math.ceil(EMAIL_WINDOW / 1000) };
+            }
+        }
+
+        // Duplicate submission within the window
+        if (await store.get(this.getDuplicateKey(form, body))) {
+            return { reason: 'duplicate', status: 409 };
+        }
+
+        // Claimed last, so a submission rejected above doesn't use up the token
+        if (tokenPayload && !(await this.claimFormToken(tokenPayload))) {
+            return { reason: 'reused_form_token', status: 400 };
+        }
+
+        return null;
+    }
+
+    // Per-IP limit for public lookups (e.g. request status), so references and emails can't be guessed in bulk
+    // Returns null if allowed or { reason, status, retryAfter } if rejected
+    async checkLookup(kind, ip) {
+        const count = await this.getStore().incr(`spam:lookup:${kind}:ip:${hash(ip || 'unknown')}`, IP_WINDOW);
+        if (count > LOOKUP_LIMIT) {
+            return { reason: 'ip_rate_limit', status: 429, retryAfter: Math.ceil(IP_WINDOW / 1000) };
+        }
+        return null;
+    }
+
+    // Fingerprint of the submission content
+    // Bookings have no message, so the requested slot tells a repeat apart from a second booking
+    getDuplicateKey(form, body) {
+        const email = String(body.email || '').trim().toLowerCase();
+        const content = form === 'appointment' ? body.start : body.message;
+        const normalized = String(content || '').trim().replace(/\s+/g, ' ');
+        return `spam:${form}:dup:${hash(`${email}|${normalized}`)}`;
+    }
+
+    // Remember an accepted submission for duplicate detection
+    async recordSubmission(form, body) {
+        await this.getStore().set(this.getDuplicateKey(form, body), 1, DUPLICATE_WINDOW);
+    }
+
+    // Log a rejected attempt
+    logRejection(form, rejection, { ip, userAgent, body }) {
+        const email = String(body.email || '');
+        console.warn('🛡️ Spam protection rejected submission:', {
+            form,
+            reason: rejection.reason,
+            ip,
+            // Keep only the domain so the log doesn't hold personal data
+            emailDomain: email.includes('@') ? email.split('@').pop() : null,
+            userAgent: userAgent || null
+        });
+    }
+}
+
+// Export singleton instance
+const spamGuard = new SpamGuard();
+export default spamGuard;
@@ -0,0 +1,73 @@
+import path from 'path';
+import crypto from 'crypto';
+import { readJsonFile } from '../utils/jsonFile.js';
+
+// How long one instance may hold a document while it reads, changes and saves it
+const LOCK_TTL = 10 * 1000;
+const LOCK_RETRY_DELAY = 100;
+
+// A JSON document kept under a single key in the reviews storage (REVIEWS_STORAGE)
+// Used for service data that used to be a JSON file in the working directory, which is read-only
+// and not shared between instances on serverless hosts. The old file is read until the first save.
+// Updates are serialised within the process and guarded across instances by a lock key
+class StoredDocument {
+    constructor(getStorage, key, { legacyFile = null } = {}) {
+        this.getStorage = getStorage;
+        this.key = key;
+        this.legacyFile = legacyFile;
+        this.lock = Promise.resolve();
+    }
+
+    getLockKey() {
+        return `${this.key}:lock`;
+    }
+
+    // Current document ({} if nothing was stored yet)
+    async read() {
+        const stored = await this.getStorage().get(this.key);
+        if (stored) return stored;
+        if (!this.legacyFile) return {};
+
+        return readJsonFile(path.join(process.cwd(), this.legacyFile), {});
+    }
+
+    // Read the document, let change(data) edit it in place, then save it
+    // Resolves with whatever change returns
+    update(change) {
+        const pending = this.lock
+            .catch(() => {})
+            .then(() => this.withStorageLock(async () => {
+                const data = await this.read();
+                const result = await change(data);
+                await this.getStorage().set(this.key, { ...data, timestamp: new Date().toISOString() });
+                return result;
+            }));
+        this.lock = pending;
+        return pending;
+    }
+
+    // Run fn while holding the document's lock key, waiting for another instance to release it
+    async withStorageLock(fn) {
+        const storage = this.getStorage();
+        const token = crypto.randomUUID();
+        const deadline = Date.now() + LOCK_TTL;
+
+        while (!(await storage.setIfAbsent(this.getLockKey(), token, LOCK_TTL))) {
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the lock on ${this.key}`);
+            }
+            await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_DELAY));
+        }
+
+        try {
+            return await fn();
+        } finally {
+            // Release the lock only if we still hold it (it may have expired and been taken over)
+            if (await storage.get(this.getLockKey()) === token) {
+                await storage.del(this.getLockKey());
+            }
+        }
+    }
+}
+
+export default StoredDocument;
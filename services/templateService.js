@@ -0,0 +1,81 @@
+import { renderHtml, renderText } from '../templates/layout.js';
+import { escapeHtmlDeep } from '../utils/escapeHtml.js';
+import contactNotification from '../templates/contactNotification.js';
+import contactAcknowledgment from '../templates/contactAcknowledgment.js';
+import newsletterConfirm from '../templates/newsletterConfirm.js';
+import newsletterNotification from '../templates/newsletterNotification.js';
+import reviewRefreshAlert from '../templates/reviewRefreshAlert.js';
+import appointmentConfirmation from '../templates/appointmentConfirmation.js';
+import appointmentCancellation from '../templates/appointmentCancellation.js';
+import appointmentNotification from '../templates/appointmentNotification.js';
+import leadStatusUpdate from '../templates/leadStatusUpdate.js';
+
+// Named email templates, each with Arabic and English versions
+const TEMPLATES = {
+    contactNotification,
+    contactAcknowledgment,
+    newsletterConfirm,
+    newsletterNotification,
+    reviewRefreshAlert,
+    appointmentConfirmation,
+    appointmentCancellation,
+    appointmentNotification,
+    leadStatusUpdate
+};
+
+const SUPPORTED_LANGUAGES = ['ar', 'en'];
+
+class TemplateService {
+    normalizeLanguage(language) {
+        return SUPPORTED_LANGUAGES.includes(language) ? language : 'ar';
+    }
+
+    getTemplate(name) {
+        const template = TEMPLATES[name];
+        if (!template) {
+            throw new Error(`Unknown email template "${name}"`);
+        }
+        return template;
+    }
+
+    // Render one language section of a template
+    // Every value is HTML-escaped for the html part; subject and text get the raw values
+    renderSection(name, language, data) {
+        const template = this.getTemplate(name)[language];
+        return {
+            language,
+            subject: template.subject(data),
+            html: template.html(escapeHtmlDeep(data)),
+            text: template.text(data)
+        };
+    }
+
+    // Render a template in one language: { subject, html, text }
+    render(name, language, data = {}) {
+        const lang = this.normalizeLanguage(language);
+        const section = this.renderSection(name, lang, data);
+
+        return {
+            subject: section.subject,
+            html: renderHtml(lang, [section]),
+            text: renderText([section])
+        };
+    }
+
+    // Render a template in both languages, the given language first
+    renderBilingual(name, primaryLanguage, data = {}) {
+        const primary = this.normalizeLanguage(primaryLanguage);
+        const languages = [primary, ...SUPPORTED_LANGUAGES.filter((lang) => lang !== primary)];
+        const sections = languages.map((lang) => this.renderSection(name, lang, data));
+
+        return {
+            subject: sections.map((section) => section.subject).join(' / '),
+            html: renderHtml(primary, sections),
+            text: renderText(sections)
+        };
+    }
+}
+
+// Export singleton instance
+const templateService = new TemplateService();
+export default templateService;
@@ -0,0 +1,37 @@
+import { getServiceName } from '../constants/serviceNames.js';
+
+// Customer confirmation that a consultation was cancelled (with a CANCEL calendar update)
+export default {
+    ar: {
+        subject: (data) => `تم إلغاء موعد الاستشارة - ${data.date} ${data.time} - بصمة الأرض`,
+        html: (data) => `
+      <h2>تم إلغاء موعد الاستشارة</h2>
+      <p>عزيزي/عزيزتي ${data.name}،</p>
+      <p>تم إلغاء موعدك لخدمة <strong>${getServiceName(data.service, 'ar')}</strong> بتاريخ ${data.date} الساعة ${data.time} (${data.timezone}).</p>
+      <p>يسعدنا حجز موعد جديد لك في أي وقت عبر موقعنا.</p>`,
+        text: (data) => `
+تم إلغاء موعد الاستشارة
+
+عزيزي/عزيزتي ${data.name}،
+
+تم إلغاء موعدك لخدمة ${getServiceName(data.service, 'ar')} بتاريخ ${data.date} الساعة ${data.time} (${data.timezone}).
+
+يسعدنا حجز موعد جديد لك في أي وقت عبر موقعنا.`
+    },
+    en: {
+        subject: (data) => `Consultation appointment cancelled - ${data.date} ${data.time} - Earth Footprint`,
+        html: (data) => `
+      <h2>Your consultation has been cancelled</h2>
+      <p>Dear ${data.name},</p>
+      <p>Your <strong>${getServiceName(data.service, 'en')}</strong> appointment on ${data.date} at ${data.time} (${data.timezone}) has been cancelled.</p>
+      <p>You are welcome to book a new appointment on our website at any time.</p>`,
+        text: (data) => `
+Your consultation has been cancelled
+
+Dear ${data.name},
+
+Your ${getServiceName(data.service, 'en')} appointment on ${data.date} at ${data.time} (${data.timezone}) has been cancelled.
+
+You are welcome to book a new appointment on our website at any time.`
+    }
+};
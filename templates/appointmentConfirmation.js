@@ -0,0 +1,63 @@
+import { getServiceName } from '../constants/serviceNames.js';
+
+// Customer confirmation for a booked (or rescheduled) consultation, sent with the .ics invite
+export default {
+    ar: {
+        subject: (data) => `${data.rescheduled ? 'تم تعديل موعدك' : 'تأكيد موعد الاستشارة'} - ${data.date} ${data.time} - بصمة الأرض`,
+        html: (data) => `
+      <h2>${data.rescheduled ? 'تم تعديل موعد الاستشارة' : 'تم تأكيد موعد الاستشارة'}</h2>
+      <p>عزيزي/عزيزتي ${data.name}،</p>
+      <p>${data.rescheduled ? 'تم نقل موعدك إلى الوقت التالي:' : 'شكراً لحجزك موعداً مع بصمة الأرض. تفاصيل الموعد:'}</p>
+      <p><strong>الخدمة:</strong> ${getServiceName(data.service, 'ar')}</p>
+      <p><strong>التاريخ:</strong> ${data.date}</p>
+      <p><strong>الوقت:</strong> ${data.time} (${data.timezone})</p>
+      <p><strong>المكان:</strong> ${data.location}</p>
+      <p>أرفقنا دعوة تقويم يمكنك إضافتها إلى تقويمك.</p>
+      <p><a href="${data.rescheduleUrl}">تغيير الموعد</a> | <a href="${data.cancelUrl}">إلغاء الموعد</a></p>`,
+        text: (data) => `
+${data.rescheduled ? 'تم تعديل موعد الاستشارة' : 'تم تأكيد موعد الاستشارة'}
+
+عزيزي/عزيزتي ${data.name}،
+
+${data.rescheduled ? 'تم نقل موعدك إلى الوقت التالي:' : 'شكراً لحجزك موعداً مع بصمة الأرض. تفاصيل الموعد:'}
+
+الخدمة: ${getServiceName(data.service, 'ar')}
+التاريخ: ${data.date}
+الوقت: ${data.time} (${data.timezone})
+المكان: ${data.location}
+
+أرفقنا دعوة تقويم يمكنك إضافتها إلى تقويمك.
+
+تغيير الموعد: ${data.rescheduleUrl}
+إلغاء الموعد: ${data.cancelUrl}`
+    },
+    en: {
+        subject: (data) => `${data.rescheduled ? 'Your appointment has been moved' : 'Consultation appointment confirmed'} - ${data.date} ${data.time} - Earth Footprint`,
+        html: (data) => `
+      <h2>${data.rescheduled ? 'Your consultation has been rescheduled' : 'Your consultation is confirmed'}</h2>
+      <p>Dear ${data.name},</p>
+      <p>${data.rescheduled ? 'Your appointment has been moved to:' : 'Thank you for booking an appointment with Earth Footprint. Here are the details:'}</p>
+      <p><strong>Service:</strong> ${getServiceName(data.service, 'en')}</p>
+      <p><strong>Date:</strong> ${data.date}</p>
+      <p><strong>Time:</strong> ${data.time} (${data.timezone})</p>
+      <p><strong>Location:</strong> ${data.location}</p>
+      <p>A calendar invite is attached.</p>
+      <p><a href="${data.rescheduleUrl}">Reschedule</a> | <a href="${data.cancelUrl}">Cancel appointment</a></p>`,
+        text: (data) => `
+${data.rescheduled ? 'Your consultation has been rescheduled' : 'Your consultation is confirmed'}
+
+Dear ${data.name},
+
+${data.rescheduled ? 'Your appointment has been moved to:' : 'Thank you for booking an appointment with Earth Footprint. Here are the details:'}
+
+Service: ${getServiceName(data.service, 'en')}
+Date: ${data.date}
+Time: ${data.time} (${data.timezone})
+Location: ${data.location}
+
+A calendar invite is attached.
+
+Reschedule: ${data.rescheduleUrl}
+Cancel appointment: ${data.cancelUrl}`
+    }
+};
@@ -0,0 +1,64 @@
+import { getServiceName } from '../constants/serviceNames.js';
+
+const ACTIONS = {
+    ar: { booked: 'موعد جديد', rescheduled: 'تعديل موعد', cancelled: 'إلغاء موعد' },
+    en: { booked: 'New appointment', rescheduled: 'Appointment rescheduled', cancelled: 'Appointment cancelled' }
+};
+
+// Office notification when a consultation is booked, rescheduled or cancelled
+export default {
+    ar: {
+        subject: (data) => `${ACTIONS.ar[data.action]}: ${data.name} - ${data.date} ${data.time}`,
+        html: (data) => `
+      <h2>${ACTIONS.ar[data.action]}</h2>
+      <p><strong>الاسم:</strong> ${data.name}</p>
+      <p><strong>البريد الإلكتروني:</strong> ${data.email}</p>
+      <p><strong>الهاتف:</strong> ${data.phone || 'غير محدد'}</p>
+      <p><strong>الخدمة:</strong> ${getServiceName(data.service, 'ar')}</p>
+      <p><strong>الموعد:</strong> ${data.date} الساعة ${data.time} (${data.timezone})</p>${data.previousDate ? `
+      <p><strong>الموعد السابق:</strong> ${data.previousDate} الساعة ${data.previousTime}</p>` : ''}
+      <p><strong>لغة العميل:</strong> ${data.language === 'en' ? 'الإنجليزية' : 'العربية'}</p>
+      <p><strong>ملاحظات:</strong></p>
+      <p style="white-space: pre-wrap;">${data.notes || '-'}</p>`,
+        text: (data) => `
+${ACTIONS.ar[data.action]}
+
+الاسم: ${data.name}
+البريد الإلكتروني: ${data.email}
+الهاتف: ${data.phone || 'غير محدد'}
+الخدمة: ${getServiceName(data.service, 'ar')}
+الموعد: ${data.date} الساعة ${data.time} (${data.timezone})${data.previousDate ? `
+الموعد السابق: ${data.previousDate} الساعة ${data.previousTime}` : ''}
+لغة العميل: ${data.language === 'en' ? 'الإنجليزية' : 'العربية'}
+
+ملاحظات:
+${data.notes || '-'}`
+    },
+    en: {
+        subject: (data) => `${ACTIONS.en[data.action]}: ${data.name} - ${data.date} ${data.time}`,
+        html: (data) => `
+      <h2>${ACTIONS.en[data.action]}</h2>
+      <p><strong>Name:</strong> ${data.name}</p>
+      <p><strong>Email:</strong> ${data.email}</p>
+      <p><strong>Phone:</strong> ${data.phone || 'Not specified'}</p>
+      <p><strong>Service:</strong> ${getServiceName(data.service, 'en')}</p>
+      <p><strong>Appointment:</strong> ${data.date} at ${data.time} (${data.timezone})</p>${data.previousDate ? `
+      <p><strong>Previous time:</strong> ${data.previousDate} at ${data.previousTime}</p>` : ''}
+      <p><strong>Customer language:</strong> ${data.language === 'en' ? 'English' : 'Arabic'}</p>
+      <p><strong>Notes:</strong></p>
+      <p style="white-space: pre-wrap;">${data.notes || '-'}</p>`,
+        text: (data) => `
+${ACTIONS.en[data.action]}
+
+Name: ${data.name}
+Email: ${data.email}
+Phone: ${data.phone || 'Not specified'}
+Service: ${getServiceName(data.service, 'en')}
+Appointment: ${data.date} at ${data.time} (${data.timezone})${data.previousDate ? `
+Previous time: ${data.previousDate} at ${data.previousTime}` : ''}
+Customer language: ${data.language === 'en' ? 'English' : 'Arabic'}
+
+Notes:
+${data.notes || '-'}`
+    }
+};
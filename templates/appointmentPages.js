@@ -0,0 +1,78 @@
+import { escapeHtml } from '../utils/escapeHtml.js';
+import { getServiceName } from '../constants/serviceNames.js';
+
+// Pages opened from the cancel / reschedule links in appointment emails
+// The links only show a form; the change itself is a POST, so mail scanners that follow links can't cancel anything
+const TEXT = {
+    ar: {
+        cancelTitle: 'إلغاء موعد الاستشارة',
+        cancelQuestion: 'هل تريد إلغاء الموعد التالي؟',
+        cancelButton: 'تأكيد الإلغاء',
+        rescheduleTitle: 'تغيير موعد الاستشارة',
+        current: 'الموعد الحالي',
+        choose: 'اختر موعداً جديداً:',
+        rescheduleButton: 'تأكيد الموعد الجديد',
+        noSlots: 'لا توجد مواعيد متاحة حالياً، يرجى التواصل معنا.',
+        at: 'الساعة'
+    },
+    en: {
+        cancelTitle: 'Cancel consultation',
+        cancelQuestion: 'Do you want to cancel this appointment?',
+        cancelButton: 'Confirm cancellation',
+        rescheduleTitle: 'Reschedule consultation',
+        current: 'Current appointment',
+        choose: 'Choose a new time:',
+        rescheduleButton: 'Confirm new time',
+        noSlots: 'No times are available at the moment, please contact us.',
+        at: 'at'
+    }
+};
+
+const renderPage = (language, title, body) => {
+    const lang = language === 'en' ? 'en' : 'ar';
+    return `<!DOCTYPE html>
+<html lang="${lang}" dir="${lang === 'en' ? 'ltr' : 'rtl'}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto; padding: 40px 16px;">
+  <h2>${escapeHtml(title)}</h2>
+${body}
+  <p><a href="https://erthfc.com">erthfc.com</a></p>
+</body>
+</html>`;
+};
+
+// Appointment summary line, e.g. "Environmental Audit - 2025-11-02 at 09:00 (UTC+3)"
+const describe = (language, details) => {
+    const text = TEXT[language] || TEXT.ar;
+    return `${escapeHtml(getServiceName(details.service, language))} - ${escapeHtml(details.date)} ${text.at} ${escapeHtml(details.time)} (${escapeHtml(details.timezone)})`;
+};
+
+export const renderCancelPage = (language, { token, details }) => {
+    const text = TEXT[language] || TEXT.ar;
+    return renderPage(language, text.cancelTitle, `  <p>${text.cancelQuestion}</p>
+  <p><strong>${describe(language, details)}</strong></p>
+  <form method="post" action="/api/appointments/cancel">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <button type="submit">${text.cancelButton}</button>
+  </form>`);
+};
+
+// days: slots as returned by appointmentService.getSlots()
+export const renderReschedulePage = (language, { token, details, days }) => {
+    const text = TEXT[language] || TEXT.ar;
+    if (days.length === 0) {
+        return renderPage(language, text.rescheduleTitle, `  <p>${text.current}: <strong>${describe(language, details)}</strong></p>
+  <p>${text.noSlots}</p>`);
+    }
+
+    return renderPage(language, text.rescheduleTitle, `  <p>${text.current}: <strong>${describe(language, details)}</strong></p>
+  <form method="post" action="/api/appointments/reschedule">
+    <input type="hidden" name="token" value="${escapeHtml(token)}">
+    <p>${text.choose}</p>
+${days.map((day) => `    <fieldset style="margin-bottom: 12px;">
+      <legend>${escapeHtml(day.date)}</legend>
+${day.slots.map((slot) => `      <label style="display: inline-block; margin: 4px 8px;"><input type="radio" name="start" value="${escapeHtml(slot.start)}" required> ${escapeHtml(slot.time)}</label>`).join('\n')}
+    </fieldset>`).join('\n')}
+    <button type="submit">${text.rescheduleButton}</button>
+  </form>`);
+};
@@ -0,0 +1,47 @@
+import { getServiceName } from '../constants/serviceNames.js';
+
+// Auto-reply to the customer confirming their request
+// The address isn't verified, so the reply holds no text typed into the form (only the reference
+// and the service picked from the list); otherwise the form could send any text from our domain
+export default {
+    ar: {
+        subject: (data) => `استلمنا طلبك (${data.reference}) - بصمة الأرض`,
+        html: (data) => `
+      <h2>شكراً لتواصلك معنا</h2>
+      <p>استلمنا رسالتك وسيتواصل معك أحد مستشارينا في أقرب وقت ممكن.</p>
+      <p><strong>رقم الطلب:</strong> ${data.reference}<br>احتفظ بهذا الرقم لمتابعة حالة طلبك.</p>
+      <p><strong>الخدمة المطلوبة:</strong> ${getServiceName(data.service, 'ar') || 'غير محدد'}</p>
+      <p>إذا كانت لديك أي معلومات إضافية، يمكنك الرد على هذه الرسالة.</p>`,
+        text: (data) => `
+شكراً لتواصلك معنا
+
+استلمنا رسالتك وسيتواصل معك أحد مستشارينا في أقرب وقت ممكن.
+
+رقم الطلب: ${data.reference}
+احتفظ بهذا الرقم لمتابعة حالة طلبك.
+
+الخدمة المطلوبة: ${getServiceName(data.service, 'ar') || 'غير محدد'}
+
+إذا كانت لديك أي معلومات إضافية، يمكنك الرد على هذه الرسالة.`
+    },
+    en: {
+        subject: (data) => `We received your request (${data.reference}) - Earth Footprint`,
+        html: (data) => `
+      <h2>Thank you for contacting us</h2>
+      <p>We have received your message and one of our consultants will get back to you as soon as possible.</p>
+      <p><strong>Reference:</strong> ${data.reference}<br>Keep this number to check the status of your request.</p>
+      <p><strong>Requested service:</strong> ${getServiceName(data.service, 'en') || 'Not specified'}</p>
+      <p>If you have any additional information, simply reply to this email.</p>`,
+        text: (data) => `
+Thank you for contacting us
+
+We have received your message and one of our consultants will get back to you as soon as possible.
+
+Reference: ${data.reference}
+Keep this number to check the status of your request.
+
+Requested service: ${getServiceName(data.service, 'en') || 'Not specified'}
+
+If you have any additional information, simply reply to this email.`
+    }
+};
@@ -0,0 +1,89 @@
+import { getServiceName } from '../constants/serviceNames.js';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// attachments: [{ filename, size, url?, expiresAt? }]; files without a url are attached to the email
+const attachmentsHtml = (attachments = [], text) => (attachments.length === 0 ? '' : `
+      <p><strong>${text.title}</strong></p>
+      <ul>
+${attachments.map((file) => `        <li>${file.url
+        ? `<a href="${file.url}">${file.filename}</a> (${formatSize(file.size)}) - ${text.link} ${String(file.expiresAt).substring(0, 10)}`
+        : `${file.filename} (${formatSize(file.size)}) - ${text.attached}`}</li>`).join('\n')}
+      </ul>`);
+
+const attachmentsText = (attachments = [], text) => (attachments.length === 0 ? '' : `
+
+${text.title}
+${attachments.map((file) => `- ${file.filename} (${formatSize(file.size)}): ${file.url
+        ? `${file.url} (${text.link} ${String(file.expiresAt).substring(0, 10)})`
+        : text.attached}`).join('\n')}`);
+
+const ATTACHMENT_TEXT = {
+    ar: { title: 'المرفقات:', attached: 'مرفق بهذه الرسالة', link: 'رابط التحميل صالح حتى' },
+    en: { title: 'Attachments:', attached: 'attached to this email', link: 'download link valid until' }
+};
+
+// Office notification for a new contact-form submission
+// (no reference if the lead couldn't be stored; the email then holds the only copy of the request)
+export default {
+    ar: {
+        subject: (data) => `[${data.reference || 'غير محفوظ'}] رسالة جديدة من ${data.name} - بصمة الأرض`,
+        html: (data) => `
+      <h2>رسالة جديدة من موقع بصمة الأرض</h2>
+      <p><strong>رقم الطلب:</strong> ${data.reference || 'غير محفوظ'}</p>
+      <p><strong>الاسم:</strong> ${data.name}</p>
+      <p><strong>البريد الإلكتروني:</strong> ${data.email}</p>
+      <p><strong>الهاتف:</strong> ${data.phone || 'غير محدد'}</p>
+      <p><strong>المسمى الوظيفي:</strong> ${data.jobTitle || 'غير محدد'}</p>
+      <p><strong>اسم الشركة:</strong> ${data.officeName || 'غير محدد'}</p>
+      <p><strong>الخدمة المطلوبة:</strong> ${getServiceName(data.service, 'ar') || 'غير محدد'}</p>
+      <p><strong>لغة العميل:</strong> ${data.language === 'en' ? 'الإنجليزية' : 'العربية'}</p>
+      <p><strong>الرسالة:</strong></p>
+      <p style="white-space: pre-wrap;">${data.message}</p>${attachmentsHtml(data.attachments, ATTACHMENT_TEXT.ar)}`,
+        text: (data) => `
+رسالة جديدة من موقع بصمة الأرض
+
+رقم الطلب: ${data.reference || 'غير محفوظ'}
+الاسم: ${data.name}
+البريد الإلكتروني: ${data.email}
+الهاتف: ${data.phone || 'غير محدد'}
+المسمى الوظيفي: ${data.jobTitle || 'غير محدد'}
+اسم الشركة: ${data.officeName || 'غير محدد'}
+الخدمة المطلوبة: ${getServiceName(data.service, 'ar') || 'غير محدد'}
+لغة العميل: ${data.language === 'en' ? 'الإنجليزية' : 'العربية'}
+
+الرسالة:
+${data.message}${attachmentsText(data.attachments, ATTACHMENT_TEXT.ar)}`
+    },
+    en: {
+        subject: (data) => `[${data.reference || 'Not stored'}] New message from ${data.name} - Earth Footprint`,
+        html: (data) => `
+      <h2>New message from the Earth Footprint website</h2>
+      <p><strong>Reference:</strong> ${data.reference || 'Not stored'}</p>
+      <p><strong>Name:</strong> ${data.name}</p>
+      <p><strong>Email:</strong> ${data.email}</p>
+      <p><strong>Phone:</strong> ${data.phone || 'Not specified'}</p>
+      <p><strong>Job title:</strong> ${data.jobTitle || 'Not specified'}</p>
+      <p><strong>Company:</strong> ${data.officeName || 'Not specified'}</p>
+      <p><strong>Requested service:</strong> ${getServiceName(data.service, 'en') || 'Not specified'}</p>
+      <p><strong>Customer language:</strong> ${data.language === 'en' ? 'English' : 'Arabic'}</p>
+      <p><strong>Message:</strong></p>
+      <p style="white-space: pre-wrap;">${data.message}</p>${attachmentsHtml(data.attachments, ATTACHMENT_TEXT.en)}`,
+        text: (data) => `
+New message from the Earth Footprint website
+
+Reference: ${data.reference || 'Not stored'}
+Name: ${data.name}
+Email: ${data.email}
+Phone: ${data.phone || 'Not specified'}
+Job title: ${data.jobTitle || 'Not specified'}
+Company: ${data.officeName || 'Not specified'}
+Requested service: ${getServiceName(data.service, 'en') || 'Not specified'}
+Customer language: ${data.language === 'en' ? 'English' : 'Arabic'}
+
+Message:
+${data.message}${attachmentsText(data.attachments, ATTACHMENT_TEXT.en)}`
+    }
+};
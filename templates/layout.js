@@ -0,0 +1,68 @@
+// Shared branding for all outgoing emails
+const BRAND = {
+    ar: {
+        name: 'بصمة الأرض',
+        tagline: 'للاستشارات البيئية',
+        footer: 'تم الإرسال من موقع بصمة الأرض',
+        website: 'https://erthfc.com'
+    },
+    en: {
+        name: 'Earth Footprint',
+        tagline: 'Environmental Consultations',
+        footer: 'Sent from the Earth Footprint website',
+        website: 'https://erthfc.com'
+    }
+};
+
+const BRAND_COLOR = '#2e7d32';
+
+export const getDirection = (language) => (language === 'en' ? 'ltr' : 'rtl');
+
+// Header/footer around one language section (used on its own or stacked for bilingual emails)
+export const renderSection = (language, content) => {
+    const brand = BRAND[language] || BRAND.ar;
+    const dir = getDirection(language);
+    const align = dir === 'rtl' ? 'right' : 'left';
+
+    return `
+    <div dir="${dir}" lang="${language}" style="text-align: ${align}; font-family: Tahoma, Arial, sans-serif; color: #333; line-height: 1.6;">
+      <div style="border-bottom: 3px solid ${BRAND_COLOR}; padding-bottom: 8px; margin-bottom: 16px;">
+        <strong style="font-size: 20px; color: ${BRAND_COLOR};">${brand.name}</strong>
+        <span style="color: #777;"> | ${brand.tagline}</span>
+      </div>
+      ${content}
+    </div>`;
+};
+
+// Full HTML document; sections are rendered in order (primary language first)
+export const renderHtml = (language, sections) => {
+    const dir = getDirection(language);
+    const footers = [...new Set(sections.map((section) => section.language))]
+        .map((lang) => (BRAND[lang] || BRAND.ar).footer)
+        .join(' / ');
+
+    return `<!DOCTYPE html>
+<html lang="${language}" dir="${dir}">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"></head>
+<body style="margin: 0; padding: 24px; background: #f5f5f5;">
+  <div style="max-width: 640px; margin: 0 auto; background: #fff; padding: 24px; border-radius: 6px;">
+    ${sections.map((section) => renderSection(section.language, section.html)).join('\n    <hr style="border: none; border-top: 1px solid #ddd; margin: 24px 0;">\n')}
+    <p style="margin-top: 24px; font-size: 12px; color: #999; text-align: center;">
+      <em>${footers}</em><br>
+      <a href="${BRAND.ar.website}" style="color: ${BRAND_COLOR};">erthfc.com</a>
+    </p>
+  </div>
+</body>
+</html>`;
+};
+
+// Plain-text alternative with the same header/footer
+export const renderText = (sections) => {
+    const body = sections.map((section) => {
+        const brand = BRAND[section.language] || BRAND.ar;
+        return `${brand.name} | ${brand.tagline}\n${'='.repeat(30)}\n\n${section.text.trim()}`;
+    }).join('\n\n' + '-'.repeat(30) + '\n\n');
+
+    const footers = [...new Set(sections.map((section) => (BRAND[section.language] || BRAND.ar).footer))];
+    return `${body}\n\n--\n${footers.join(' / ')}\n${BRAND.ar.website}\n`;
+};
@@ -0,0 +1,62 @@
+import { getServiceName } from '../constants/serviceNames.js';
+import { getLeadStatusName } from '../constants/leadStatuses.js';
+
+// Customer notification when staff move their request to another status
+export default {
+    ar: {
+        subject: (data) => `تحديث حالة طلبك (${data.reference}): ${getLeadStatusName(data.status, 'ar')} - بصمة الأرض`,
+        html: (data) => `
+      <h2>تحديث حالة طلبك</h2>
+      <p>عزيزي/عزيزتي ${data.name}،</p>
+      <p>تم تحديث حالة طلبك رقم <strong>${data.reference}</strong>.</p>
+      <p><strong>الخدمة:</strong> ${getServiceName(data.service, 'ar') || 'غير محدد'}</p>
+      <p><strong>الحالة السابقة:</strong> ${getLeadStatusName(data.previousStatus, 'ar')}</p>
+      <p><strong>الحالة الحالية:</strong> ${getLeadStatusName(data.status, 'ar')}</p>${data.note ? `
+      <p><strong>ملاحظة:</strong></p>
+      <p style="white-space: pre-wrap; background: #f9f9f9; padding: 12px; border-radius: 4px;">${data.note}</p>` : ''}
+      <p>إذا كانت لديك أي استفسارات، يمكنك الرد على هذه الرسالة.</p>`,
+        text: (data) => `
+تحديث حالة طلبك
+
+عزيزي/عزيزتي ${data.name}،
+
+تم تحديث حالة طلبك رقم ${data.reference}.
+
+الخدمة: ${getServiceName(data.service, 'ar') || 'غير محدد'}
+الحالة السابقة: ${getLeadStatusName(data.previousStatus, 'ar')}
+الحالة الحالية: ${getLeadStatusName(data.status, 'ar')}${data.note ? `
+
+ملاحظة:
+${data.note}` : ''}
+
+إذا كانت لديك أي استفسارات، يمكنك الرد على هذه الرسالة.`
+    },
+    en: {
+        subject: (data) => `Request ${data.reference} update: ${getLeadStatusName(data.status, 'en')} - Earth Footprint`,
+        html: (data) => `
+      <h2>Your request has been updated</h2>
+      <p>Dear ${data.name},</p>
+      <p>The status of your request <strong>${data.reference}</strong> has changed.</p>
+      <p><strong>Service:</strong> ${getServiceName(data.service, 'en') || 'Not specified'}</p>
+      <p><strong>Previous status:</strong> ${getLeadStatusName(data.previousStatus, 'en')}</p>
+      <p><strong>Current status:</strong> ${getLeadStatusName(data.status, 'en')}</p>${data.note ? `
+      <p><strong>Note:</strong></p>
+      <p style="white-space: pre-wrap; background: #f9f9f9; padding: 12px; border-radius: 4px;">${data.note}</p>` : ''}
+      <p>If you have any questions, simply reply to this email.</p>`,
+        text: (data) => `
+Your request has been updated
+
+Dear ${data.name},
+
+The status of your request ${data.reference} has changed.
+
+Service: ${getServiceName(data.service, 'en') || 'Not specified'}
+Previous status: ${getLeadStatusName(data.previousStatus, 'en')}
+Current status: ${getLeadStatusName(data.status, 'en')}${data.note ? `
+
+Note:
+${data.note}` : ''}
+
+If you have any questions, simply reply to this email.`
+    }
+};
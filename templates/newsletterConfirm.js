@@ -0,0 +1,39 @@
+// Double opt-in confirmation sent to a new newsletter subscriber
+export default {
+    ar: {
+        subject: () => 'تأكيد الاشتراك في النشرة الإخبارية - بصمة الأرض',
+        html: (data) => `
+      <h2>تأكيد الاشتراك في النشرة الإخبارية</h2>
+      <p>شكراً لاهتمامك بنشرة بصمة الأرض. يرجى تأكيد اشتراكك بالضغط على الرابط التالي:</p>
+      <p><a href="${data.confirmUrl}">تأكيد الاشتراك</a></p>
+      <p>إذا لم تطلب هذا الاشتراك، يمكنك تجاهل هذه الرسالة.</p>
+      <p style="font-size: 12px;"><a href="${data.unsubscribeUrl}">إلغاء الاشتراك</a></p>`,
+        text: (data) => `
+تأكيد الاشتراك في النشرة الإخبارية
+
+شكراً لاهتمامك بنشرة بصمة الأرض. يرجى تأكيد اشتراكك عبر الرابط التالي:
+${data.confirmUrl}
+
+إذا لم تطلب هذا الاشتراك، يمكنك تجاهل هذه الرسالة.
+
+إلغاء الاشتراك: ${data.unsubscribeUrl}`
+    },
+    en: {
+        subject: () => 'Confirm your subscription - Earth Footprint',
+        html: (data) => `
+      <h2>Confirm your newsletter subscription</h2>
+      <p>Thank you for your interest in the Earth Footprint newsletter. Please confirm your subscription using the link below:</p>
+      <p><a href="${data.confirmUrl}">Confirm subscription</a></p>
+      <p>If you did not request this, you can ignore this email.</p>
+      <p style="font-size: 12px;"><a href="${data.unsubscribeUrl}">Unsubscribe</a></p>`,
+        text: (data) => `
+Confirm your newsletter subscription
+
+Thank you for your interest in the Earth Footprint newsletter. Please confirm your subscription using the link below:
+${data.confirmUrl}
+
+If you did not request this, you can ignore this email.
+
+Unsubscribe: ${data.unsubscribeUrl}`
+    }
+};
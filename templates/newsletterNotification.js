@@ -0,0 +1,33 @@
+// Office notification for a confirmed newsletter subscriber
+export default {
+    ar: {
+        subject: () => 'اشتراك جديد في النشرة الإخبارية - بصمة الأرض',
+        html: (data) => `
+      <h2>اشتراك جديد في النشرة الإخبارية</h2>
+      <p><strong>البريد الإلكتروني:</strong> ${data.email}</p>
+      <p><strong>اللغة:</strong> ${data.language === 'en' ? 'الإنجليزية' : 'العربية'}</p>
+      <p><em>تم تأكيد الاشتراك من موقع بصمة الأرض</em></p>`,
+        text: (data) => `
+اشتراك جديد في النشرة الإخبارية
+
+البريد الإلكتروني: ${data.email}
+اللغة: ${data.language === 'en' ? 'الإنجليزية' : 'العربية'}
+
+تم تأكيد الاشتراك من موقع بصمة الأرض`
+    },
+    en: {
+        subject: () => 'New newsletter subscriber - Earth Footprint',
+        html: (data) => `
+      <h2>New newsletter subscriber</h2>
+      <p><strong>Email:</strong> ${data.email}</p>
+      <p><strong>Language:</strong> ${data.language === 'en' ? 'English' : 'Arabic'}</p>
+      <p><em>Subscription confirmed from the Earth Footprint website</em></p>`,
+        text: (data) => `
+New newsletter subscriber
+
+Email: ${data.email}
+Language: ${data.language === 'en' ? 'English' : 'Arabic'}
+
+Subscription confirmed from the Earth Footprint website`
+    }
+};
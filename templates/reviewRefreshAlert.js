@@ -0,0 +1,51 @@
+// Office alert when the scheduled review refresh keeps failing or returning no reviews
+export default {
+    ar: {
+        subject: (data) => `تنبيه: تعذر تحديث مراجعات Google (${data.placeName})`,
+        html: (data) => `
+      <h2>تنبيه تحديث المراجعات</h2>
+      <p>التحديث المجدول لمراجعات <strong>${data.placeName}</strong> (${data.placeId}) لم ينجح عدة مرات متتالية.</p>
+      <p><strong>محاولات فاشلة متتالية:</strong> ${data.consecutiveFailures}</p>
+      <p><strong>محاولات بدون مراجعات:</strong> ${data.consecutiveEmpty}</p>
+      <p><strong>آخر نتيجة:</strong> ${data.lastOutcome}</p>
+      <p><strong>آخر خطأ:</strong> ${data.lastError || '-'}</p>
+      <p><strong>آخر تحديث ناجح:</strong> ${data.lastSuccessAt || 'لا يوجد'}</p>
+      <p><em>يستمر الموقع في عرض المراجعات المخزنة حتى ينجح التحديث.</em></p>`,
+        text: (data) => `
+تنبيه تحديث المراجعات
+
+التحديث المجدول لمراجعات ${data.placeName} (${data.placeId}) لم ينجح عدة مرات متتالية.
+
+محاولات فاشلة متتالية: ${data.consecutiveFailures}
+محاولات بدون مراجعات: ${data.consecutiveEmpty}
+آخر نتيجة: ${data.lastOutcome}
+آخر خطأ: ${data.lastError || '-'}
+آخر تحديث ناجح: ${data.lastSuccessAt || 'لا يوجد'}
+
+يستمر الموقع في عرض المراجعات المخزنة حتى ينجح التحديث.`
+    },
+    en: {
+        subject: (data) => `Alert: Google reviews refresh failing (${data.placeName})`,
+        html: (data) => `
+      <h2>Reviews refresh alert</h2>
+      <p>The scheduled refresh for <strong>${data.placeName}</strong> (${data.placeId}) has not succeeded several times in a row.</p>
+      <p><strong>Consecutive failures:</strong> ${data.consecutiveFailures}</p>
+      <p><strong>Consecutive empty runs:</strong> ${data.consecutiveEmpty}</p>
+      <p><strong>Last outcome:</strong> ${data.lastOutcome}</p>
+      <p><strong>Last error:</strong> ${data.lastError || '-'}</p>
+      <p><strong>Last successful refresh:</strong> ${data.lastSuccessAt || 'never'}</p>
+      <p><em>The website keeps serving the stored reviews until a refresh succeeds.</em></p>`,
+        text: (data) => `
+Reviews refresh alert
+
+The scheduled refresh for ${data.placeName} (${data.placeId}) has not succeeded several times in a row.
+
+Consecutive failures: ${data.consecutiveFailures}
+Consecutive empty runs: ${data.consecutiveEmpty}
+Last outcome: ${data.lastOutcome}
+Last error: ${data.lastError || '-'}
+Last successful refresh: ${data.lastSuccessAt || 'never'}
+
+The website keeps serving the stored reviews until a refresh succeeds.`
+    }
+};
@@ -0,0 +1,70 @@
+// Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF) into objects keyed by the header row
+export const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter((cells) => cells.some((cell) => cell.trim()));
+    if (!header) return [];
+
+    const keys = header.map((key) => key.trim());
+    return records.map((cells) => Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()])));
+};
+
+// Cells starting with these are run as formulas by Excel and Google Sheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escape one CSV cell: RFC 4180 quoting, and a leading ' on values that would be read as a
+// formula (CSV injection, e.g. "=HYPERLINK(...)" typed into a public form)
+export const escapeCSVCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from objects, one column per field (BOM so Excel reads Arabic correctly)
+export const toCSV = (records, fields) => {
+    const rows = [
+        fields.join(','),
+        ...records.map((record) => fields.map((field) => escapeCSVCell(record[field])).join(','))
+    ];
+
+    return '\uFEFF' + rows.join('\r\n') + '\r\n';
+};
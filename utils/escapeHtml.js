@@ -0,0 +1,23 @@
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Escape a value for safe use in HTML text and attributes
+export const escapeHtml = (value) => {
+    if (value === null || value === undefined) return value;
+    return String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+};
+
+// Escape every string in an object or array (recursively) for HTML rendering
+export const escapeHtmlDeep = (value) => {
+    if (typeof value === 'string') return escapeHtml(value);
+    if (Array.isArray(value)) return value.map(escapeHtmlDeep);
+    if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, escapeHtmlDeep(item)]));
+    }
+    return value;
+};
@@ -0,0 +1,51 @@
+// Detect a file's type from its content (magic bytes), not its name
+// Only the types accepted as contact-form attachments are recognised: PDF, images and office documents.
+// Returns { extension, mime } or null.
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+const ZIP = [0x50, 0x4b, 0x03, 0x04];
+// Legacy Office (Compound File Binary) container
+const OLE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Office Open XML documents are ZIP archives; the part names identify the application
+const OOXML_TYPES = [
+    { part: 'word/', extension: 'docx', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    { part: 'xl/', extension: 'xlsx', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    { part: 'ppt/', extension: 'pptx', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' }
+];
+
+// The CFB container doesn't say which application wrote it, so the extension picks among these
+const OLE_TYPES = {
+    doc: 'application/msword',
+    xls: 'application/vnd.ms-excel',
+    ppt: 'application/vnd.ms-powerpoint'
+};
+
+export const detectFileType = (buffer, filename = '') => {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) return null;
+
+    if (startsWith(buffer, ascii('%PDF-'))) return { extension: 'pdf', mime: 'application/pdf' };
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { extension: 'png', mime: 'image/png' };
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return { extension: 'jpg', mime: 'image/jpeg' };
+    if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return { extension: 'gif', mime: 'image/gif' };
+    if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return { extension: 'webp', mime: 'image/webp' };
+
+    if (startsWith(buffer, ZIP)) {
+        // [Content_Types].xml marks an OOXML package (a plain ZIP archive is not accepted)
+        const listing = buffer.toString('latin1');
+        if (!listing.includes('[Content_Types].xml')) return null;
+        const type = OOXML_TYPES.find((candidate) => listing.includes(candidate.part));
+        return type ? { extension: type.extension, mime: type.mime } : null;
+    }
+
+    if (startsWith(buffer, OLE)) {
+        const extension = String(filename).split('.').pop().toLowerCase();
+        return OLE_TYPES[extension] ? { extension, mime: OLE_TYPES[extension] } : null;
+    }
+
+    return null;
+};
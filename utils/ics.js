@@ -0,0 +1,77 @@
+// Minimal iCalendar (RFC 5545) writer for single-event invites
+//   method REQUEST  new or updated event (sequence increases with each change)
+//   method CANCEL   cancels an event previously sent with the same uid
+
+// Text values escape backslash, semicolon, comma and newlines
+const escapeText = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Parameter values (e.g. CN) are DQUOTE-quoted; a quoted value can't hold DQUOTE or control characters
+const quoteParam = (value) => `"${String(value || '').replace(/["\u0000-\u001f\u007f]/g, '')}"`;
+
+// UTC timestamp, e.g. 20251102T060000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets are folded (continuation lines start with a space),
+// without splitting a multi-byte UTF-8 character
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+export const createIcsEvent = ({
+    uid,
+    method = 'REQUEST',
+    sequence = 0,
+    start,
+    end,
+    summary,
+    description,
+    location,
+    organizer,
+    attendee
+}) => {
+    const cancelled = method === 'CANCEL';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Earth Footprint//Appointments//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `DTSTART:${formatDate(start)}`,
+        `DTEND:${formatDate(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        description ? `DESCRIPTION:${escapeText(description)}` : null,
+        location ? `LOCATION:${escapeText(location)}` : null,
+        organizer ? `ORGANIZER;CN=${quoteParam(organizer.name)}:mailto:${organizer.email}` : null,
+        attendee ? `ATTENDEE;CN=${quoteParam(attendee.name)};ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${attendee.email}` : null,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
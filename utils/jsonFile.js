@@ -0,0 +1,33 @@
+import fs from 'fs/promises';
+
+// Pending write per file path, so concurrent writes to the same file are serialised
+const writeQueues = new Map();
+
+// Read and parse a JSON file, returning fallback if it doesn't exist
+export const readJsonFile = async (filePath, fallback = null) => {
+    try {
+        const data = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(data);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`❌ Error reading ${filePath}:`, error.message);
+        }
+        return fallback;
+    }
+};
+
+// Write a JSON file atomically (write to a temp file, then rename)
+export const writeJsonFile = (filePath, data) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const previous = writeQueues.get(filePath) || Promise.resolve();
+
+    const pending = previous
+        .catch(() => {})
+        .then(async () => {
+            await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+            await fs.rename(tempPath, filePath);
+        });
+
+    writeQueues.set(filePath, pending);
+    return pending;
+};
@@ -0,0 +1,123 @@
+import util from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import config from '../config/index.js';
+
+// Structured logger: one JSON object per line on stdout (warn/error on stderr)
+//   LOG_LEVEL   debug | info (default) | warn | error
+//   LOG_FORMAT  json (default) | pretty (human-readable lines for local development)
+// Personal data (emails, phone numbers, credentials) is redacted before anything is written.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[config.logging.level];
+const LOG_FORMAT = config.logging.format;
+
+// Per-request context (request ID) carried across async calls
+const requestContext = new AsyncLocalStorage();
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+// International or Saudi numbers: 9-15 digits, optionally with + / 00 and single spaces
+const PHONE_PATTERN = /(?<![\w.:/-])(?:\+|00)?\d(?:[ ]?\d){8,14}(?![\w.:/-])/g;
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|authorization|api[-_]?key|cookie/i;
+const PERSONAL_KEY_PATTERN = /^(email|phone|mobile|to|cc|bcc|replyTo)$/i;
+
+const maskEmail = (match, first, domain) => `${first}***@${domain}`;
+const maskPhone = (match) => `***${match.replace(/\D/g, '').slice(-3)}`;
+
+// Mask emails and phone numbers inside free text
+export const redactText = (text) => String(text).replace(EMAIL_PATTERN, maskEmail).replace(PHONE_PATTERN, maskPhone);
+
+// Redact a value for logging: secrets are removed, personal fields masked, strings scanned
+export const redact = (value, key = null, depth = 0) => {
+    if (value === null || value === undefined) return value;
+    if (key && SECRET_KEY_PATTERN.test(key) && typeof value !== 'boolean') return '[REDACTED]';
+
+    if (value instanceof Error) {
+        return { name: value.name, message: redactText(value.message), code: value.code, stack: value.stack ? redactText(value.stack) : undefined };
+    }
+    if (typeof value === 'string') {
+        if (key && PERSONAL_KEY_PATTERN.test(key)) {
+            return value.includes('@') ? redactText(value) : '[REDACTED]';
+        }
+        return redactText(value);
+    }
+    if (typeof value !== 'object') return value;
+    if (depth > 5) return '[Object]';
+    if (Array.isArray(value)) return value.map((item) => redact(item, key, depth + 1));
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+
+    return Object.fromEntries(Object.entries(value).map(([entryKey, item]) => [entryKey, redact(item, entryKey, depth + 1)]));
+};
+
+// Keep the original console methods: the logger writes through them
+const output = {
+    stdout: console.log.bind(console),
+    stderr: console.error.bind(console)
+};
+
+const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < LOG_LEVEL) return;
+
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactText(message),
+        ...(context && context.requestId ? { requestId: context.requestId } : {}),
+        ...redact(fields)
+    };
+
+    const line = LOG_FORMAT === 'pretty'
+        ? `${entry.time} ${level.toUpperCase()}${entry.requestId ? ` [${entry.requestId}]` : ''} ${entry.msg}${Object.keys(fields).length > 0 ? ` ${util.inspect(redact(fields), { depth: 4, breakLength: Infinity })}` : ''}`
+        : JSON.stringify(entry);
+
+    (LEVELS[level] >= LEVELS.warn ? output.stderr : output.stdout)(line);
+};
+
+// Split console-style arguments into a message and structured fields
+const fromConsoleArgs = (args) => {
+    const parts = [];
+    const data = [];
+    let error = null;
+
+    for (const arg of args) {
+        if (arg instanceof Error && !error) {
+            error = arg;
+        } else if (arg !== null && typeof arg === 'object') {
+            data.push(arg);
+        } else {
+            parts.push(String(arg));
+        }
+    }
+
+    const fields = {};
+    if (data.length === 1) fields.data = data[0];
+    if (data.length > 1) fields.data = data;
+    if (error) fields.error = error;
+
+    return { message: parts.join(' ').trim(), fields };
+};
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+
+    // Run fn with a request context (its log lines carry the request ID)
+    runWithContext: (context, fn) => requestContext.run(context, fn),
+
+    getRequestId: () => requestContext.getStore()?.requestId || null,
+
+    // Route console.* through the logger so existing log lines become structured and redacted
+    captureConsole() {
+        const levels = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+        for (const [method, level] of Object.entries(levels)) {
+            console[method] = (...args) => {
+                const { message, fields } = fromConsoleArgs(args);
+                write(level, message, fields);
+            };
+        }
+    }
+};
+
+export default logger;
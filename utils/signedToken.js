@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+let fallbackSecret = null;
+
+// Secret used to sign tokens (TOKEN_SECRET, or a per-process random secret in development)
+const getSecret = () => {
+    if (config.tokens.secret) return config.tokens.secret;
+
+    if (!fallbackSecret) {
+        console.warn('⚠️ TOKEN_SECRET is not set, using a temporary secret (links will expire on restart)');
+        fallbackSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return fallbackSecret;
+};
+
+const hmac = (value, secret) => crypto.createHmac('sha256', secret || getSecret()).update(value).digest('base64url');
+
+// Create a signed token: base64url(JSON payload) + "." + HMAC signature
+// ttlMs is optional; tokens without it never expire
+// secret overrides TOKEN_SECRET (e.g. a separate secret for admin tokens)
+export const signToken = (payload, ttlMs = null, secret = null) => {
+    const body = { ...payload };
+    if (ttlMs) {
+        body.exp = Date.now() + ttlMs;
+    }
+
+    const encoded = Buffer.from(JSON.stringify(body)).toString('base64url');
+    return `${encoded}.${hmac(encoded, secret)}`;
+};
+
+// Verify a signed token and return its payload, or null if invalid or expired
+export const verifyToken = (token, secret = null) => {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [encoded, signature] = token.split('.');
+    const expected = hmac(encoded, secret);
+    if (!signature || signature.length !== expected.length) return null;
+    if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+        if (payload.exp && Date.now() > payload.exp) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+};
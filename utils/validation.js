@@ -0,0 +1,101 @@
+// Schema-based validation for form input
+//
+// A schema maps field names to rules:
+//   { type: 'string', required, minLength, maxLength, format: 'email' | 'phone', enum: [...], default }
+// validate() returns the trimmed values and a per-field error message in the requested language.
+
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[a-zA-Z]{2,}$/;
+
+// Saudi mobile/landline (05XXXXXXXX, 01XXXXXXXX, +966 / 00966 prefixes) or international E.164
+const SAUDI_PHONE_PATTERN = /^(?:(?:\+|00)966|0)(?:5\d{8}|1[1-7]\d{7})$/;
+const INTERNATIONAL_PHONE_PATTERN = /^(?:\+|00)[1-9]\d{7,14}$/;
+
+const MESSAGES = {
+    ar: {
+        required: 'هذا الحقل مطلوب',
+        type: 'قيمة غير صالحة',
+        minLength: (min) => `يجب ألا يقل عن ${min} أحرف`,
+        maxLength: (max) => `يجب ألا يزيد عن ${max} حرف`,
+        email: 'البريد الإلكتروني غير صالح',
+        phone: 'رقم الهاتف غير صالح',
+        enum: 'القيمة المختارة غير صالحة',
+        failed: 'يرجى تصحيح الحقول المحددة'
+    },
+    en: {
+        required: 'This field is required',
+        type: 'Invalid value',
+        minLength: (min) => `Must be at least ${min} characters`,
+        maxLength: (max) => `Must be at most ${max} characters`,
+        email: 'Invalid email address',
+        phone: 'Invalid phone number',
+        enum: 'Invalid selection',
+        failed: 'Please correct the highlighted fields'
+    }
+};
+
+export const getValidationMessages = (language) => MESSAGES[language] || MESSAGES.ar;
+
+export const isValidEmail = (value) => EMAIL_PATTERN.test(String(value || '').trim());
+
+// Phone numbers may be typed with spaces, dashes, dots or parentheses
+export const normalizePhone = (value) => String(value || '').replace(/[\s\-().]/g, '');
+
+export const isValidPhone = (value) => {
+    const phone = normalizePhone(value);
+    return SAUDI_PHONE_PATTERN.test(phone) || INTERNATIONAL_PHONE_PATTERN.test(phone);
+};
+
+// Validate input against a schema
+// Returns { values, errors } where errors is null when the input is valid
+export const validate = (schema, input = {}, language = 'ar') => {
+    const messages = getValidationMessages(language);
+    const values = {};
+    const errors = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        let value = input[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) {
+                errors[field] = messages.required;
+            } else if (rule.default !== undefined) {
+                values[field] = rule.default;
+            }
+            continue;
+        }
+
+        if (typeof value !== 'string') {
+            errors[field] = messages.type;
+            continue;
+        }
+
+        value = value.trim();
+
+        if (!value) {
+            if (rule.required) errors[field] = messages.required;
+            else if (rule.default !== undefined) values[field] = rule.default;
+            continue;
+        }
+
+        if (rule.minLength && value.length < rule.minLength) {
+            errors[field] = messages.minLength(rule.minLength);
+        } else if (rule.maxLength && value.length > rule.maxLength) {
+            errors[field] = messages.maxLength(rule.maxLength);
+        } else if (rule.format === 'email' && !isValidEmail(value)) {
+            errors[field] = messages.email;
+        } else if (rule.format === 'phone' && !isValidPhone(value)) {
+            errors[field] = messages.phone;
+        } else if (rule.enum && !rule.enum.includes(value)) {
+            errors[field] = messages.enum;
+        }
+
+        if (!errors[field]) {
+            values[field] = value;
+        }
+    }
+
+    return {
+        values,
+        errors: Object.keys(errors).length > 0 ? errors : null
+    };
+};